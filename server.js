@@ -1,10 +1,223 @@
 const express = require('express');
 const swaggerJsdoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const readline = require('readline');
+const os = require('os');
+const dns = require('dns');
+const v8 = require('v8');
+const { Worker } = require('worker_threads');
+const { monitorEventLoopDelay, performance } = require('perf_hooks');
+const { AsyncLocalStorage } = require('async_hooks');
+const { randomUUID, randomFillSync, createHash, timingSafeEqual } = require('crypto');
+const { EventEmitter } = require('events');
 const app = express();
 const port = process.env.PORT || 3000;
 
-app.use(express.json());
+// Logging - LOG_FORMAT=json writes every line as a JSON object instead of text and
+// LOG_LEVEL (debug, info, warn, error) drops lines below that level. Lines written
+// while handling a request, including by the jobs it starts, carry its request ID.
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const LOG_FORMATS = ['text', 'json'];
+const logFormat = LOG_FORMATS.includes(process.env.LOG_FORMAT) ? process.env.LOG_FORMAT : 'text';
+const logLevel = LOG_LEVELS.includes(process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : 'info';
+const requestContext = new AsyncLocalStorage();
+
+function log(level, message, fields = {}, format = logFormat) {
+    if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(logLevel)) {
+        return;
+    }
+
+    const write = level === 'error' ? console.error : (level === 'warn' ? console.warn : console.log);
+    const { error, ...rest } = fields;
+
+    if (format === 'json') {
+        const context = requestContext.getStore();
+        write(JSON.stringify({
+            timestamp: new Date().toISOString(),
+            level: level,
+            message: message,
+            ...(context && { requestId: context.requestId }),
+            ...rest,
+            ...(error && { error: error.message, stack: error.stack })
+        }));
+    } else if (error) {
+        write(message, error);
+    } else {
+        write(message);
+    }
+}
+
+// Responses not yet sent, so a graceful shutdown can wait for them
+const pendingResponses = new Set();
+
+// Assign a request ID (or reuse X-Request-Id) and log every request once it is answered.
+// Probe and scrape requests are logged at debug level.
+app.use((req, res, next) => {
+    const startTime = Date.now();
+    req.id = req.get('X-Request-Id') || randomUUID();
+    res.set('X-Request-Id', req.id);
+    res.set('X-Served-By', os.hostname());
+    pendingResponses.add(res);
+    res.on('close', () => pendingResponses.delete(res));
+
+    res.on('finish', () => {
+        const quiet = ['/health', '/live', '/ready', '/metrics'].includes(normalizedPath(req));
+        const durationMs = Date.now() - startTime;
+        log(quiet ? 'debug' : 'info', `${req.method} ${req.originalUrl} ${res.statusCode} ${durationMs}ms`, {
+            requestId: req.id,
+            method: req.method,
+            path: req.originalUrl,
+            status: res.statusCode,
+            durationMs: durationMs
+        });
+    });
+
+    next();
+});
+
+// Routing ignores case and trailing slashes, so /CPU/ must be treated like /cpu
+function normalizedPath(req) {
+    return req.path.toLowerCase().replace(/\/+$/, '') || '/';
+}
+
+// /bandwidth/upload reads its body as a stream, so it must not be parsed here
+const jsonParser = express.json();
+app.use((req, res, next) => {
+    if (normalizedPath(req) === '/bandwidth/upload') {
+        return next();
+    }
+    jsonParser(req, res, next);
+});
+
+// Entered after body parsing, which does not preserve the async context
+app.use((req, res, next) => {
+    requestContext.run({ requestId: req.id }, next);
+});
+
+// Authentication - optional API keys from API_KEYS and/or the file named by API_KEYS_FILE
+// (e.g. a mounted secret), separated by commas or newlines. Each entry is "<key>" or
+// "<key>:<scope>", where read allows listings such as /metrics and /jobs and write (the
+// default) allows everything. Clients send "Authorization: Bearer <key>" or "X-API-Key: <key>".
+// Without keys every request is allowed.
+const AUTH_SCOPES = ['read', 'write'];
+// Probes and documentation never require a key
+const OPEN_PATHS = ['/health', '/live', '/ready'];
+// GET routes that start tests or block the server need write scope like other methods
+const WRITE_GET_PATHS = ['/cpu', '/logs', '/memory-test', '/memory-leak', '/disk', '/http-load', '/bandwidth/download', '/block'];
+
+// Whether a request starts tests or changes server state, as opposed to only reading it
+function isWriteRequest(req) {
+    return !(req.method === 'GET' || req.method === 'HEAD') || WRITE_GET_PATHS.includes(normalizedPath(req));
+}
+
+const hashApiKey = (key) => createHash('sha256').update(key).digest();
+
+function loadApiKeys() {
+    let entries = (process.env.API_KEYS || '').split(/[,\n]/);
+    if (process.env.API_KEYS_FILE) {
+        entries = entries.concat(fs.readFileSync(process.env.API_KEYS_FILE, 'utf8').split(/[,\n]/));
+    }
+
+    return entries.map(entry => entry.trim()).filter(entry => entry && !entry.startsWith('#')).map((entry) => {
+        const separator = entry.lastIndexOf(':');
+        const scope = entry.slice(separator + 1);
+        if (separator > 0 && AUTH_SCOPES.includes(scope)) {
+            return { digest: hashApiKey(entry.slice(0, separator)), scope: scope };
+        }
+        return { digest: hashApiKey(entry), scope: 'write' };
+    });
+}
+
+const apiKeys = loadApiKeys();
+
+app.use((req, res, next) => {
+    const path = normalizedPath(req);
+    if (apiKeys.length === 0 || OPEN_PATHS.includes(path) || path.startsWith('/api-docs')) {
+        return next();
+    }
+
+    const readOnly = !isWriteRequest(req);
+    const authorization = req.get('Authorization') || '';
+    const key = authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : req.get('X-API-Key');
+    const reject = (status, reason) => {
+        log('warn', `Authentication failed for ${req.method} ${req.path}: ${reason}`, { requestId: req.id, method: req.method, path: req.path, ip: req.ip, reason });
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(status).json({ error: reason });
+    };
+
+    if (!key) {
+        return reject(401, 'Missing API key: send Authorization: Bearer <key> or X-API-Key');
+    }
+
+    // Compare fixed-length digests so the comparison takes the same time for every key
+    const digest = hashApiKey(key);
+    const match = apiKeys.find(apiKey => timingSafeEqual(apiKey.digest, digest));
+    if (!match) {
+        return reject(401, 'Invalid API key');
+    }
+    if (!readOnly && match.scope !== 'write') {
+        return reject(403, `API key has ${match.scope} scope, but ${req.method} ${req.path} requires write scope`);
+    }
+
+    req.authScope = match.scope;
+    next();
+});
+
+// Set once SIGTERM or SIGINT starts a graceful shutdown (see shutdown below)
+let shuttingDown = false;
+
+// While shutting down, requests that would start tests or change state are refused. Reads
+// are still answered so probes, /jobs and /metrics keep working during the drain.
+app.use((req, res, next) => {
+    if (!shuttingDown) {
+        return next();
+    }
+
+    res.set('Connection', 'close');
+    if (!isWriteRequest(req)) {
+        return next();
+    }
+    res.status(503).json({
+        error: 'Server is shutting down; no new tests are accepted'
+    });
+});
+
+// Fault injection state, set through the /chaos endpoints. Entries are null when inactive;
+// until is the expiry time in ms, or null to stay active until DELETE /chaos.
+const chaos = {
+    health: null,        // { mode: 'fail' | 'flap', interval, startTime, until }
+    errors: null,        // { percent, status, startTime, until }
+    ignoreSigterm: null, // { startTime, until, timer }
+    scheduled: null      // { action: 'crash' | 'hang', exitCode, duration, at, timer }
+};
+
+// Returns a chaos entry while it is active, dropping it once it has expired
+function activeChaos(name) {
+    const entry = chaos[name];
+    if (entry && entry.until !== null && Date.now() >= entry.until) {
+        chaos[name] = null;
+        return null;
+    }
+    return entry;
+}
+
+// Fail the chosen share of requests. The probes have their own fault mode and /chaos stays
+// reachable so the experiment can always be stopped.
+app.use((req, res, next) => {
+    const errors = activeChaos('errors');
+    const path = normalizedPath(req);
+    if (errors && !['/health', '/live', '/ready'].includes(path) && !path.startsWith('/chaos') && Math.random() * 100 < errors.percent) {
+        return res.status(errors.status).json({
+            error: 'Injected failure',
+            chaos: true
+        });
+    }
+    next();
+});
 
 // Swagger definition
 const swaggerOptions = {
@@ -23,7 +236,15 @@ const swaggerOptions = {
                 url: 'http://localhost:3000',
                 description: 'Development server'
             }
-        ]
+        ],
+        components: {
+            securitySchemes: {
+                BearerAuth: { type: 'http', scheme: 'bearer' },
+                ApiKeyAuth: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+            }
+        },
+        // Keys are only required when API_KEYS or API_KEYS_FILE is set
+        security: [{}, { BearerAuth: [] }, { ApiKeyAuth: [] }]
     },
     apis: ['./server.js']
 };
@@ -55,17 +276,238 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
  *                 timestamp:
  *                   type: string
  *                   format: date-time
+ *       503:
+ *         description: Health check failure injected through /chaos/health
  */
 app.get('/health', (req, res) => {
+    const fault = healthFault();
+    if (fault) {
+        return res.status(503).json({ status: 'unhealthy', reason: fault, timestamp: new Date().toISOString() });
+    }
     res.json({ status: 'healthy', timestamp: new Date().toISOString() });
 });
 
+// Reason /health and /live should fail because of an injected fault, or null
+function healthFault() {
+    const health = activeChaos('health');
+    // Flapping fails during the first interval, passes during the next, and so on
+    const failing = health && (health.mode === 'fail' || Math.floor((Date.now() - health.startTime) / (health.interval * 1000)) % 2 === 0);
+    return failing ? `chaos: health ${health.mode} injected` : null;
+}
+
+/**
+ * @swagger
+ * /live:
+ *   get:
+ *     summary: Liveness probe
+ *     description: Succeeds whenever the event loop is able to answer. Fails only while a /chaos/health fault is active, so stress tests never get the pod restarted.
+ *     tags:
+ *       - Health
+ *     responses:
+ *       200:
+ *         description: Process is alive
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: alive
+ *                 uptimeSeconds:
+ *                   type: number
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ *       503:
+ *         description: Liveness failure injected through /chaos/health
+ */
+app.get('/live', (req, res) => {
+    const fault = healthFault();
+    if (fault) {
+        return res.status(503).json({ status: 'dead', reason: fault, timestamp: new Date().toISOString() });
+    }
+    res.json({ status: 'alive', uptimeSeconds: Number(process.uptime().toFixed(1)), timestamp: new Date().toISOString() });
+});
+
+// Job registry - every started stress test is tracked here so it can be queried and cancelled
+const jobs = new Map();
+const jobHistoryLimit = parseInt(process.env.JOB_HISTORY_LIMIT, 10) || 100;
+const jobsStartedByType = new Map();
+const jobEvents = new EventEmitter(); // emits 'job' on every state change and 'shutdown' once
+let jobCounter = 0;
+
+jobEvents.setMaxListeners(0);
+
+const jobQueues = new Map(); // type -> jobs waiting for a concurrency slot, oldest first
+
+// Register a job and start its generator. The generator receives the job and
+// should assign job.stop so the test can be cancelled. Generators holding a level
+// keep job.target ({ resource, configured, achieved }) up to date for /metrics.
+// When the type is at its concurrency limit and CONCURRENCY_LIMIT_ACTION=queue, the
+// job is registered as queued and its generator starts once a slot frees up.
+function startJob(type, parameters, durationSeconds, generator) {
+    const queue = guardrails.limitAction === 'queue' && runningJobCount(type) >= concurrencyLimit(type);
+    jobCounter++;
+    const job = {
+        id: String(jobCounter),
+        type: type,
+        state: 'running',
+        parameters: parameters,
+        durationSeconds: durationSeconds || null,
+        startTime: Date.now(),
+        endTime: null,
+        result: null,
+        error: null,
+        target: null,
+        stop: null
+    };
+    jobs.set(job.id, job);
+
+    const run = () => {
+        jobsStartedByType.set(type, (jobsStartedByType.get(type) || 0) + 1);
+        const promise = generator(job).then((result) => {
+            if (job.state === 'running') {
+                job.state = 'completed';
+            } else if (job.state === 'terminated') {
+                result = { ...result, terminated: true };
+            }
+            job.endTime = Date.now();
+            job.result = result;
+            pruneJobs();
+            jobEvents.emit('job', job);
+            startQueuedJobs(type);
+            return result;
+        }, (error) => {
+            job.state = 'failed';
+            job.endTime = Date.now();
+            job.error = error.message;
+            pruneJobs();
+            jobEvents.emit('job', job);
+            startQueuedJobs(type);
+            throw error;
+        });
+        jobEvents.emit('job', job);
+        return promise;
+    };
+
+    if (queue) {
+        job.state = 'queued';
+        job.promise = new Promise((resolve) => {
+            job.dequeue = resolve;
+        }).then((cancelled) => (cancelled ? job.result : run()));
+        if (!jobQueues.has(type)) {
+            jobQueues.set(type, []);
+        }
+        jobQueues.get(type).push(job);
+        log('info', `Queued ${type} job ${job.id} until one of ${concurrencyLimit(type)} running slots frees up`, { jobId: job.id });
+        jobEvents.emit('job', job);
+    } else {
+        job.promise = run();
+    }
+
+    return job;
+}
+
+function runningJobCount(type) {
+    return [...jobs.values()].filter(job => job.type === type && job.state === 'running').length;
+}
+
+// Start queued jobs of a type while it has free concurrency slots. The job is marked
+// running here, not when its generator starts a microtask later, so each dequeued job
+// takes up its slot before the next one is considered.
+function startQueuedJobs(type) {
+    const queue = jobQueues.get(type) || [];
+    while (queue.length > 0 && runningJobCount(type) < concurrencyLimit(type)) {
+        const job = queue.shift();
+        log('info', `Starting queued ${type} job ${job.id}`, { jobId: job.id });
+        job.state = 'running';
+        job.startTime = Date.now();
+        job.dequeue(false);
+    }
+}
+
+// Stop a running or queued job, clearing its intervals and releasing held memory
+function cancelJob(job) {
+    // Jobs stopped by a graceful shutdown end as terminated rather than cancelled
+    const state = shuttingDown ? 'terminated' : 'cancelled';
+    if (job.state === 'queued') {
+        const queue = jobQueues.get(job.type);
+        queue.splice(queue.indexOf(job), 1);
+        job.state = state;
+        job.endTime = Date.now();
+        job.result = { type: job.type, completed: false, cancelled: true, ...(shuttingDown && { terminated: true }), timestamp: new Date().toISOString() };
+        pruneJobs();
+        jobEvents.emit('job', job);
+        job.dequeue(true);
+        return true;
+    }
+    if (job.state !== 'running') {
+        return false;
+    }
+    job.state = state;
+    jobEvents.emit('job', job);
+    if (job.stop) {
+        job.stop();
+    }
+    return true;
+}
+
+// Drop the oldest finished jobs once the history limit is exceeded
+function pruneJobs() {
+    const finished = [...jobs.values()].filter(job => job.state !== 'running' && job.state !== 'queued');
+    const excess = finished.length - jobHistoryLimit;
+    for (let i = 0; i < excess; i++) {
+        jobs.delete(finished[i].id);
+    }
+}
+
+function serializeJob(job) {
+    const queued = job.state === 'queued';
+    const elapsedMs = queued ? 0 : (job.endTime || Date.now()) - job.startTime;
+    let progress = null;
+    if (job.state === 'completed') {
+        progress = 100;
+    } else if (job.durationSeconds && !queued) {
+        progress = Math.min(100, elapsedMs / (job.durationSeconds * 1000) * 100);
+        progress = Number(progress.toFixed(1));
+    }
+
+    return {
+        id: job.id,
+        type: job.type,
+        state: job.state,
+        progress: progress,
+        elapsedSeconds: Number((elapsedMs / 1000).toFixed(1)),
+        parameters: job.parameters,
+        ...(queued && { queuePosition: jobQueues.get(job.type).indexOf(job) + 1 }),
+        ...(job.phase && { currentPhase: job.phase }),
+        ...(job.target && job.state === 'running' && { target: job.target }),
+        startTime: new Date(job.startTime).toISOString(),
+        endTime: job.endTime ? new Date(job.endTime).toISOString() : null,
+        result: job.result,
+        error: job.error,
+        ...(job.runId && { runId: job.runId })
+    };
+}
+
 // CPU stress test function
-function cpuStress(durationSeconds) {
+function cpuStress(durationSeconds, job = null) {
     const startTime = Date.now();
     const endTime = startTime + (durationSeconds * 1000);
 
     return new Promise((resolve) => {
+        const finish = (cancelled) => {
+            clearInterval(interval);
+            resolve({
+                type: 'CPU',
+                duration: durationSeconds,
+                completed: !cancelled,
+                cancelled: cancelled,
+                timestamp: new Date().toISOString()
+            });
+        };
+
         const interval = setInterval(() => {
             // Perform CPU-intensive calculations
             let result = 0;
@@ -74,222 +516,6281 @@ function cpuStress(durationSeconds) {
             }
 
             if (Date.now() >= endTime) {
-                clearInterval(interval);
-                resolve({
-                    type: 'CPU',
-                    duration: durationSeconds,
-                    completed: true,
-                    timestamp: new Date().toISOString()
-                });
+                finish(false);
             }
         }, 10);
+
+        if (job) {
+            job.stop = () => finish(true);
+        }
     });
 }
 
-// Memory stress test function
-function memoryStress(durationSeconds) {
-    const startTime = Date.now();
-    const endTime = startTime + (durationSeconds * 1000);
-    const arrays = [];
+// Most worker threads one CPU test may start. More than a few per CPU only adds overhead,
+// and a typo such as cores=1000 would otherwise spawn a thousand V8 isolates.
+const MAX_CPU_WORKERS = 4 * (os.availableParallelism ? os.availableParallelism() : os.cpus().length);
 
-    return new Promise((resolve) => {
-        const interval = setInterval(() => {
-            // Allocate memory - approximately 10MB per iteration
-            const largeArray = new Array(1024 * 1024).fill('X'.repeat(10));
-            arrays.push(largeArray);
+// Worker thread body for multi-core CPU stress. Runs the same calculations as cpuStress
+// in batches, counting completed batches in shared memory so the main thread can read
+// them. control[0] is the stop flag; in duty-cycle mode control[1] holds the busy
+// fraction of each slice in 1/10000ths and the worker sleeps for the rest of the slice.
+const CPU_WORKER_BATCH_SIZE = 10000;
+const cpuWorkerSource = `
+const { workerData } = require('worker_threads');
+const control = new Int32Array(workerData.control);
+const counts = new Int32Array(workerData.counts);
+const sleeper = new Int32Array(new SharedArrayBuffer(Int32Array.BYTES_PER_ELEMENT));
+const endTime = Date.now() + workerData.durationMs;
 
-            if (Date.now() >= endTime) {
-                clearInterval(interval);
-                // Clear arrays to release memory
-                arrays.length = 0;
-                resolve({
-                    type: 'Memory',
-                    duration: durationSeconds,
-                    completed: true,
-                    peakMemoryMB: process.memoryUsage().heapUsed / 1024 / 1024,
-                    timestamp: new Date().toISOString()
-                });
-            }
-        }, 100);
-    });
+function burn() {
+    let result = 0;
+    for (let i = 0; i < workerData.batchSize; i++) {
+        result += Math.sqrt(i) * Math.sin(i) * Math.cos(i);
+    }
+    Atomics.add(counts, workerData.index, 1);
 }
 
-// Controlled memory stress test with min/max memory bounds
-function controlledMemoryStress(durationSeconds, minMemoryMB, maxMemoryMB) {
-    const startTime = Date.now();
-    const endTime = startTime + (durationSeconds * 1000);
-    const arrays = [];
-    let currentMemoryMB = 0;
+while (Date.now() < endTime && Atomics.load(control, 0) === 0) {
+    if (!workerData.sliceMs) {
+        burn();
+        continue;
+    }
 
-    return new Promise((resolve) => {
-        const interval = setInterval(() => {
-            const currentHeapUsed = process.memoryUsage().heapUsed / 1024 / 1024;
-            currentMemoryMB = currentHeapUsed;
-
-            // Allocate more memory if below minimum
-            if (currentMemoryMB < minMemoryMB) {
-                // Allocate approximately 10MB per iteration
-                const largeArray = new Array(1024 * 1024).fill('X'.repeat(10));
-                arrays.push(largeArray);
-            }
-            // Release memory if above maximum
-            else if (currentMemoryMB > maxMemoryMB && arrays.length > 0) {
-                // Remove some arrays to reduce memory
-                const removeCount = Math.ceil(arrays.length * 0.2); // Remove 20% of arrays
-                arrays.splice(0, removeCount);
-                // Force garbage collection hint
-                if (global.gc) {
-                    global.gc();
-                }
-            }
-            // Maintain memory within range
-            else if (currentMemoryMB >= minMemoryMB && currentMemoryMB <= maxMemoryMB) {
-                // Occasionally allocate or release to simulate fluctuation
-                if (Math.random() > 0.5 && currentMemoryMB < maxMemoryMB * 0.9) {
-                    const smallArray = new Array(512 * 1024).fill('Y'.repeat(10));
-                    arrays.push(smallArray);
-                } else if (arrays.length > 0 && currentMemoryMB > minMemoryMB * 1.1) {
-                    arrays.pop();
+    const sliceStart = Date.now();
+    const busyUntil = sliceStart + workerData.sliceMs * Atomics.load(control, 1) / 10000;
+    while (Date.now() < busyUntil) {
+        burn();
+    }
+    const idleMs = sliceStart + workerData.sliceMs - Date.now();
+    if (idleMs > 0) {
+        Atomics.wait(sleeper, 0, 0, idleMs);
+    }
+}
+`;
+
+// Start one CPU worker per core. Resolves with per-worker iteration counts once every
+// worker has exited (duration reached or stop flag set).
+function startCpuWorkers(durationSeconds, cores, sliceMs = null) {
+    const control = new SharedArrayBuffer(Int32Array.BYTES_PER_ELEMENT * 2);
+    const counts = new SharedArrayBuffer(Int32Array.BYTES_PER_ELEMENT * cores);
+    const controlView = new Int32Array(control);
+    const countsView = new Int32Array(counts);
+
+    const workers = [];
+    for (let index = 0; index < cores; index++) {
+        workers.push(new Promise((resolve, reject) => {
+            const worker = new Worker(cpuWorkerSource, {
+                eval: true,
+                workerData: {
+                    control,
+                    counts,
+                    index,
+                    batchSize: CPU_WORKER_BATCH_SIZE,
+                    durationMs: durationSeconds * 1000,
+                    sliceMs: sliceMs
                 }
-            }
+            });
+            worker.on('error', reject);
+            worker.on('exit', resolve);
+        }));
+    }
 
-            if (Date.now() >= endTime) {
-                clearInterval(interval);
-                const finalMemory = process.memoryUsage().heapUsed / 1024 / 1024;
-                // Clear arrays to release memory
-                arrays.length = 0;
-                resolve({
-                    type: 'Controlled Memory',
-                    duration: durationSeconds,
-                    minMemoryMB: minMemoryMB,
-                    maxMemoryMB: maxMemoryMB,
-                    finalMemoryMB: finalMemory,
-                    completed: true,
-                    timestamp: new Date().toISOString()
-                });
-            }
-        }, 100);
+    const stop = () => Atomics.store(controlView, 0, 1);
+    const setBusyFraction = (fraction) => Atomics.store(controlView, 1, Math.round(fraction * 10000));
+
+    const done = Promise.all(workers).then(() => Array.from(countsView, (batches, index) => ({
+        worker: index,
+        iterations: batches * CPU_WORKER_BATCH_SIZE
+    })), (error) => {
+        // Stop the remaining workers if one of them fails
+        stop();
+        throw error;
     });
+
+    return { stop, setBusyFraction, done };
 }
 
-// Continuous logging function
-function continuousLogging(intervalSeconds, durationSeconds = null) {
+// Multi-core CPU stress test function - spreads the work across worker threads so
+// more than one core can be loaded while the main event loop stays responsive
+function multiCoreCpuStress(durationSeconds, cores, job = null) {
+    const workers = startCpuWorkers(durationSeconds, cores);
+    let cancelled = false;
+
+    if (job) {
+        job.stop = () => {
+            cancelled = true;
+            workers.stop();
+        };
+    }
+
+    return workers.done.then((perWorker) => ({
+        type: 'CPU',
+        duration: durationSeconds,
+        cores: cores,
+        workers: perWorker,
+        totalIterations: perWorker.reduce((sum, worker) => sum + worker.iterations, 0),
+        completed: !cancelled,
+        cancelled: cancelled,
+        timestamp: new Date().toISOString()
+    }));
+}
+
+// Target CPU utilization test - holds targetPercent of a core (per core when cores is
+// given) using busy/idle slices. Every second the actual usage is measured with
+// process.cpuUsage() and the busy fraction of each slice is corrected towards the target.
+// targetPercent may also be a function of the elapsed seconds, for load profiles.
+const CPU_DUTY_CYCLE_SLICE_MS = 100;
+const CPU_CONTROL_INTERVAL_MS = 1000;
+const CPU_CONTROL_GAIN = 0.5;
+
+function targetCpuStress(durationSeconds, targetPercent, cores = null, job = null) {
     const startTime = Date.now();
-    let logCount = 0;
+    const endTime = startTime + (durationSeconds * 1000);
+    const coreCount = cores || 1;
+    const targetAt = typeof targetPercent === 'function' ? targetPercent : () => targetPercent;
+    const samples = [];
+    const errors = [];
+    let currentTarget = targetAt(0);
+    let busyFraction = currentTarget / 100;
+    if (job) {
+        job.target = { resource: 'cpu_percent', configured: { target: currentTarget }, achieved: null };
+    }
     let previousCpuUsage = process.cpuUsage();
+    let previousSampleTime = Date.now();
+    let sliceTimer = null;
+    let finished = false;
 
-    return new Promise((resolve) => {
-        console.log(`[LOGS] Starting continuous logging every ${intervalSeconds} seconds...`);
+    // Worker threads run the duty cycle when cores is given, otherwise the main thread does
+    const workers = cores ? startCpuWorkers(durationSeconds, cores, CPU_DUTY_CYCLE_SLICE_MS) : null;
+    if (workers) {
+        workers.setBusyFraction(busyFraction);
+    }
 
-        const interval = setInterval(() => {
-            const currentCpuUsage = process.cpuUsage(previousCpuUsage);
-            const memoryUsage = process.memoryUsage();
+    return new Promise((resolve, reject) => {
+        const finish = async (cancelled) => {
+            if (finished) {
+                return;
+            }
+            finished = true;
+            clearInterval(controlInterval);
+            clearTimeout(sliceTimer);
 
-            // Calculate CPU usage percentage (approximate)
-            const cpuPercent = ((currentCpuUsage.user + currentCpuUsage.system) / 1000000 / intervalSeconds * 100).toFixed(2);
+            let perWorker = null;
+            if (workers) {
+                workers.stop();
+                try {
+                    perWorker = await workers.done;
+                } catch (error) {
+                    return reject(error);
+                }
+            }
 
-            // Memory in MB
-            const heapUsedMB = (memoryUsage.heapUsed / 1024 / 1024).toFixed(2);
-            const heapTotalMB = (memoryUsage.heapTotal / 1024 / 1024).toFixed(2);
-            const rssMB = (memoryUsage.rss / 1024 / 1024).toFixed(2);
-            const externalMB = (memoryUsage.external / 1024 / 1024).toFixed(2);
+            const average = samples.length ? samples.reduce((sum, value) => sum + value, 0) / samples.length : 0;
+            const variance = samples.length ? samples.reduce((sum, value) => sum + Math.pow(value - average, 2), 0) / samples.length : 0;
+            const meanAbsoluteError = errors.length ? errors.reduce((sum, value) => sum + value, 0) / errors.length : 0;
 
-            logCount++;
-            const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+            resolve({
+                type: 'CPU',
+                duration: durationSeconds,
+                targetPercent: typeof targetPercent === 'function' ? null : targetPercent,
+                cores: cores,
+                achievedAveragePercent: Number(average.toFixed(2)),
+                achievedVariance: Number(variance.toFixed(2)),
+                achievedStdDev: Number(Math.sqrt(variance).toFixed(2)),
+                meanAbsoluteErrorPercent: Number(meanAbsoluteError.toFixed(2)),
+                sampleCount: samples.length,
+                ...(perWorker && {
+                    workers: perWorker,
+                    totalIterations: perWorker.reduce((sum, worker) => sum + worker.iterations, 0)
+                }),
+                completed: !cancelled,
+                cancelled: cancelled,
+                timestamp: new Date().toISOString()
+            });
+        };
 
-            console.log(`[LOGS-${logCount}] [${elapsed}s] CPU: ${cpuPercent}% | Memory - Heap: ${heapUsedMB}/${heapTotalMB} MB | RSS: ${rssMB} MB | External: ${externalMB} MB | Timestamp: ${new Date().toISOString()}`);
+        const runSlice = () => {
+            const sliceStart = Date.now();
+            const busyUntil = sliceStart + busyFraction * CPU_DUTY_CYCLE_SLICE_MS;
+            while (Date.now() < busyUntil) {
+                let result = 0;
+                for (let i = 0; i < CPU_WORKER_BATCH_SIZE; i++) {
+                    result += Math.sqrt(i) * Math.sin(i) * Math.cos(i);
+                }
+            }
+            sliceTimer = setTimeout(runSlice, Math.max(0, sliceStart + CPU_DUTY_CYCLE_SLICE_MS - Date.now()));
+        };
 
+        const controlInterval = setInterval(() => {
+            const now = Date.now();
+            const cpuUsage = process.cpuUsage(previousCpuUsage);
+            const actualPercent = (cpuUsage.user + cpuUsage.system) / 1000 / (now - previousSampleTime) * 100 / coreCount;
             previousCpuUsage = process.cpuUsage();
+            previousSampleTime = now;
+            samples.push(actualPercent);
+            errors.push(Math.abs(currentTarget - actualPercent));
 
-            // If duration is specified and reached, stop logging
-            if (durationSeconds && (Date.now() - startTime) >= (durationSeconds * 1000)) {
-                clearInterval(interval);
-                console.log(`[LOGS] Continuous logging completed after ${logCount} log entries`);
-                resolve({
-                    type: 'Continuous Logging',
-                    intervalSeconds: intervalSeconds,
-                    totalDuration: elapsed,
-                    logCount: logCount,
-                    completed: true,
-                    timestamp: new Date().toISOString()
-                });
+            // Correct the busy fraction by a share of the error, follow any change of the
+            // target straight away and keep it within a slice
+            const nextTarget = targetAt((now - startTime) / 1000);
+            busyFraction += CPU_CONTROL_GAIN * (currentTarget - actualPercent) / 100;
+            busyFraction += (nextTarget - currentTarget) / 100;
+            busyFraction = Math.min(1, Math.max(0, busyFraction));
+            currentTarget = nextTarget;
+            if (workers) {
+                workers.setBusyFraction(busyFraction);
+            }
+            if (job) {
+                job.target = { resource: 'cpu_percent', configured: { target: currentTarget }, achieved: Number(actualPercent.toFixed(2)) };
             }
-        }, intervalSeconds * 1000);
 
-        // Store interval ID for potential cleanup
-        interval.unref(); // Allow process to exit even if interval is running
+            if (now >= endTime) {
+                finish(false);
+            }
+        }, CPU_CONTROL_INTERVAL_MS);
+
+        if (!workers) {
+            runSlice();
+        }
+
+        if (job) {
+            job.stop = () => finish(true);
+        }
     });
 }
 
-/**
- * @swagger
- * /cpu:
- *   post:
- *     summary: Execute a CPU stress test
- *     description: Performs CPU-intensive calculations for specified duration
- *     tags:
- *       - CPU Testing
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - seconds
- *             properties:
- *               seconds:
- *                 type: number
- *                 description: Duration of the CPU stress test in seconds
- *                 example: 10
- *     responses:
- *       200:
- *         description: CPU stress test completed successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 type:
- *                   type: string
- *                 duration:
- *                   type: number
- *                 completed:
- *                   type: boolean
- *                 timestamp:
- *                   type: string
- *                   format: date-time
- *       400:
- *         description: Invalid input parameters
- *       500:
- *         description: CPU stress test failed
- */
-app.post('/cpu', async (req, res) => {
-    const { seconds } = req.body;
+// Load profiles - an ordered list of phases, each shaping a level (CPU percent or
+// memory MB) over its duration:
+//   constant { level }
+//   ramp     { from, to }                        linear from -> to
+//   step     { from, to, steps }                 equal steps from -> to
+//   sine     { min, max, period }                sine wave between min and max
+//   spike    { base, peak, every, spikeDuration } peak for spikeDuration at the start of every window
+const PROFILE_PATTERNS = {
+    constant: ['level'],
+    ramp: ['from', 'to'],
+    step: ['from', 'to', 'steps'],
+    sine: ['min', 'max', 'period'],
+    spike: ['base', 'peak', 'every', 'spikeDuration']
+};
+// Phase fields that are levels, as opposed to counts and durations
+const PROFILE_LEVEL_FIELDS = ['level', 'from', 'to', 'min', 'max', 'base', 'peak'];
 
-    // Validate input
-    if (!seconds) {
-        return res.status(400).json({
-            error: 'Missing required parameter: seconds is required'
-        });
+// Returns an error message for an invalid profile, or null when it is valid
+function validateProfile(profile, maxLevel = Infinity) {
+    if (!profile || !Array.isArray(profile.phases) || profile.phases.length === 0) {
+        return 'profile must be an object with a non-empty phases array';
     }
 
-    if (typeof seconds !== 'number' || seconds <= 0) {
-        return res.status(400).json({
-            error: 'seconds must be a positive number'
-        });
+    for (let index = 0; index < profile.phases.length; index++) {
+        const phase = profile.phases[index];
+        const fields = phase && PROFILE_PATTERNS[phase.pattern];
+
+        if (!fields) {
+            return `phase ${index}: pattern must be one of ${Object.keys(PROFILE_PATTERNS).join(', ')}`;
+        }
+        if (typeof phase.duration !== 'number' || phase.duration <= 0) {
+            return `phase ${index}: duration must be a positive number (seconds)`;
+        }
+        for (const field of fields) {
+            if (typeof phase[field] !== 'number' || phase[field] < 0) {
+                return `phase ${index}: ${field} must be a non-negative number`;
+            }
+        }
+        const levels = PROFILE_LEVEL_FIELDS.filter(field => fields.includes(field));
+        if (levels.some(field => phase[field] > maxLevel)) {
+            return `phase ${index}: levels must not exceed ${maxLevel}`;
+        }
+        if (phase.pattern === 'step' && (!Number.isInteger(phase.steps) || phase.steps < 1)) {
+            return `phase ${index}: steps must be a positive integer`;
+        }
+        if (phase.pattern === 'sine' && (phase.period <= 0 || phase.min > phase.max)) {
+            return `phase ${index}: period must be positive and min must not exceed max`;
+        }
+        if (phase.pattern === 'spike' && (phase.every <= 0 || phase.spikeDuration <= 0 || phase.spikeDuration >= phase.every)) {
+            return `phase ${index}: spikeDuration must be positive and shorter than every`;
+        }
     }
 
-    console.log(`Starting CPU stress test for ${seconds} seconds...`);
+    return null;
+}
+
+function profileDuration(profile) {
+    return profile.phases.reduce((sum, phase) => sum + phase.duration, 0);
+}
+
+// Highest level any phase of a profile reaches
+function profilePeakLevel(profile) {
+    return Math.max(...profile.phases.flatMap(phase => PROFILE_LEVEL_FIELDS.filter(field => PROFILE_PATTERNS[phase.pattern].includes(field)).map(field => phase[field])));
+}
+
+// Resolve the active phase and its level at a point in time
+function profileLevelAt(profile, elapsedSeconds) {
+    let phaseStart = 0;
+    let index = 0;
+    while (index < profile.phases.length - 1 && elapsedSeconds >= phaseStart + profile.phases[index].duration) {
+        phaseStart += profile.phases[index].duration;
+        index++;
+    }
+
+    const phase = profile.phases[index];
+    const t = Math.min(Math.max(0, elapsedSeconds - phaseStart), phase.duration);
+    let level;
+
+    switch (phase.pattern) {
+        case 'ramp':
+            level = phase.from + (phase.to - phase.from) * (t / phase.duration);
+            break;
+        case 'step': {
+            const step = Math.min(phase.steps - 1, Math.floor(t / phase.duration * phase.steps));
+            level = phase.steps === 1 ? phase.from : phase.from + (phase.to - phase.from) * step / (phase.steps - 1);
+            break;
+        }
+        case 'sine':
+            level = (phase.min + phase.max) / 2 + (phase.max - phase.min) / 2 * Math.sin(2 * Math.PI * t / phase.period);
+            break;
+        case 'spike':
+            level = (t % phase.every) < phase.spikeDuration ? phase.peak : phase.base;
+            break;
+        default:
+            level = phase.level;
+    }
+
+    return {
+        index: index,
+        pattern: phase.pattern,
+        level: Number(level.toFixed(2)),
+        phaseElapsedSeconds: Number(t.toFixed(1))
+    };
+}
+
+// CPU load profile - drives the target utilization controller from the profile
+function profileCpuStress(profile, cores = null, job = null) {
+    const durationSeconds = profileDuration(profile);
+    const targetAt = (elapsedSeconds) => {
+        const phase = profileLevelAt(profile, elapsedSeconds);
+        if (job) {
+            job.phase = phase;
+        }
+        return phase.level;
+    };
+
+    return targetCpuStress(durationSeconds, targetAt, cores, job).then((result) => ({
+        ...result,
+        profile: profile
+    }));
+}
+
+// Shapes a simulated leak can retain memory in. Every unit is about 1MB of heap:
+//   array    - plain arrays of doubles pushed onto a list
+//   closures - callbacks whose closure keeps a payload alive, like forgotten listeners
+//   cache    - unique 1MB strings in an object used as an unbounded cache
+//   map      - a Map that keeps growing with many small session-like entries
+const LEAK_SHAPES = ['array', 'closures', 'cache', 'map'];
+const LEAK_UNIT_DOUBLES = 128 * 1024; // 8 bytes each = 1MB
+
+// Retain one more ~1MB unit in the given leak shape
+function leakUnit(shape, retained, unitIndex) {
+    switch (shape) {
+        case 'closures': {
+            const payload = new Array(LEAK_UNIT_DOUBLES).fill(unitIndex + 0.5);
+            retained.list.push(() => payload.length);
+            break;
+        }
+        case 'cache': {
+            const response = String(unitIndex).padEnd(1024 * 1024, 'x');
+            // Reading a character flattens the padded rope into one contiguous string
+            response.charCodeAt(0);
+            retained.cache[`response-${unitIndex}`] = response;
+            break;
+        }
+        case 'map':
+            // 1024 entries of ~1KB each, including the key, entry object and Map slot
+            for (let i = 0; i < 1024; i++) {
+                retained.map.set(`session-${unitIndex}-${i}`, { id: i, createdAt: Date.now(), data: new Array(107).fill(i + 0.5) });
+            }
+            break;
+        default:
+            retained.list.push(new Array(LEAK_UNIT_DOUBLES).fill(unitIndex + 0.5));
+    }
+}
+
+// Memory leak simulation - grows retained heap at rateMBPerMinute until ceilingMB is
+// reached, then holds it. Without a ceiling the leak grows until the duration ends or the
+// container is OOM-killed; without a duration it runs until cancelled.
+function memoryStress(durationSeconds, rateMBPerMinute, ceilingMB = null, shape = 'array', job = null) {
+    const startTime = Date.now();
+    const endTime = durationSeconds ? startTime + (durationSeconds * 1000) : null;
+    const jobFields = job ? { jobId: job.id } : {};
+    let retained = { list: [], cache: {}, map: new Map() };
+    let leakedMB = 0;
+    let peakMemory = 0;
+    let ceilingReachedSeconds = null;
+
+    return new Promise((resolve) => {
+        const finish = (cancelled) => {
+            clearInterval(interval);
+            // Drop every reference to release the leaked memory
+            retained = null;
+            if (global.gc) {
+                global.gc();
+            }
+            resolve({
+                type: 'Memory Leak',
+                duration: durationSeconds,
+                rateMBPerMinute: rateMBPerMinute,
+                ceilingMB: ceilingMB,
+                shape: shape,
+                leakedMB: leakedMB,
+                peakMemoryMB: peakMemory,
+                ceilingReachedSeconds: ceilingReachedSeconds,
+                completed: !cancelled,
+                cancelled: cancelled,
+                timestamp: new Date().toISOString()
+            });
+        };
+
+        const interval = setInterval(() => {
+            const elapsedMinutes = (Date.now() - startTime) / 60000;
+            const dueMB = Math.floor(ceilingMB === null ? rateMBPerMinute * elapsedMinutes : Math.min(ceilingMB, rateMBPerMinute * elapsedMinutes));
+            while (leakedMB < dueMB) {
+                leakUnit(shape, retained, leakedMB);
+                leakedMB++;
+            }
+
+            if (ceilingMB !== null && leakedMB >= ceilingMB && ceilingReachedSeconds === null) {
+                ceilingReachedSeconds = Number(((Date.now() - startTime) / 1000).toFixed(1));
+                log('info', `Memory leak reached its ${ceilingMB}MB ceiling after ${ceilingReachedSeconds}s, holding`, { ...jobFields, leakedMB });
+            }
+
+            peakMemory = Math.max(peakMemory, process.memoryUsage().heapUsed / 1024 / 1024);
+            if (job) {
+                job.target = { resource: 'leaked_mb', configured: ceilingMB === null ? {} : { max: ceilingMB }, achieved: leakedMB };
+            }
+
+            if (endTime && Date.now() >= endTime) {
+                finish(false);
+            }
+        }, 100);
+
+        if (job) {
+            job.stop = () => finish(true);
+        }
+    });
+}
+
+// Memory metrics the controlled memory tests can hold within their band:
+//   heapUsed - V8 heap in use
+//   rss      - resident set size of the process
+//   cgroup   - container working set (usage minus inactive file cache), which is what
+//              kubectl top and the kubelet's OOM/HPA decisions are based on
+const MEMORY_METRICS = {
+    heapUsed: 'heap_mb',
+    rss: 'rss_mb',
+    cgroup: 'cgroup_mb'
+};
+const CGROUP_V2_DIR = '/sys/fs/cgroup';
+const CGROUP_V1_DIR = '/sys/fs/cgroup/memory';
+
+// Read the container working set in bytes from cgroup v2, falling back to v1.
+// Returns null when neither is available (e.g. not running in a container).
+function readCgroupMemoryBytes() {
+    const sources = [
+        { usage: `${CGROUP_V2_DIR}/memory.current`, stat: `${CGROUP_V2_DIR}/memory.stat`, inactiveFile: 'inactive_file' },
+        { usage: `${CGROUP_V1_DIR}/memory.usage_in_bytes`, stat: `${CGROUP_V1_DIR}/memory.stat`, inactiveFile: 'total_inactive_file' }
+    ];
+
+    for (const source of sources) {
+        let usage;
+        try {
+            usage = Number(fs.readFileSync(source.usage, 'utf8').trim());
+        } catch (error) {
+            continue;
+        }
+
+        let inactiveFile = 0;
+        try {
+            const line = fs.readFileSync(source.stat, 'utf8').split('\n').find(entry => entry.startsWith(`${source.inactiveFile} `));
+            inactiveFile = line ? Number(line.split(' ')[1]) : 0;
+        } catch (error) {
+            // Without memory.stat the raw usage is the best estimate
+        }
+
+        return Math.max(0, usage - inactiveFile);
+    }
+
+    return null;
+}
+
+// Container memory limit in bytes from cgroup v2, falling back to v1. Returns null when
+// there is no limit or no cgroup memory controller.
+function readCgroupMemoryLimitBytes() {
+    const sources = [`${CGROUP_V2_DIR}/memory.max`, `${CGROUP_V1_DIR}/memory.limit_in_bytes`];
+
+    for (const source of sources) {
+        let value;
+        try {
+            value = fs.readFileSync(source, 'utf8').trim();
+        } catch (error) {
+            continue;
+        }
+        // v2 reports "max" and v1 a value near 2^63 when unlimited
+        const bytes = Number(value);
+        return value === 'max' || !(bytes > 0) || bytes >= 2 ** 60 ? null : bytes;
+    }
+
+    return null;
+}
+
+const CGROUP_V1_CPU_DIR = '/sys/fs/cgroup/cpu';
+const CGROUP_V1_CPUSET_DIR = '/sys/fs/cgroup/cpuset';
+
+// Contents of a cgroup file, or null when it does not exist
+function readCgroupFile(file) {
+    try {
+        return fs.readFileSync(file, 'utf8').trim();
+    } catch (error) {
+        return null;
+    }
+}
+
+// Number of CPUs in a cpuset list such as "0-3,6"
+function countCpuList(list) {
+    return list.split(',').filter(Boolean).reduce((count, range) => {
+        const [first, last] = range.split('-').map(Number);
+        return count + (last === undefined ? 1 : last - first + 1);
+    }, 0);
+}
+
+// CPU quota, period, relative weight and cpuset from cgroup v2, falling back to v1.
+// quotaMicros and quotaCores are null when the container has no CPU limit. Returns null
+// when there is no cgroup CPU controller.
+function readCgroupCpu() {
+    const v2Max = readCgroupFile(`${CGROUP_V2_DIR}/cpu.max`);
+    if (v2Max !== null) {
+        const [quota, period] = v2Max.split(' ');
+        const quotaMicros = quota === 'max' ? null : Number(quota);
+        return {
+            cgroupVersion: 2,
+            quotaMicros: quotaMicros,
+            periodMicros: Number(period),
+            quotaCores: quotaMicros ? Number((quotaMicros / Number(period)).toFixed(2)) : null,
+            weight: Number(readCgroupFile(`${CGROUP_V2_DIR}/cpu.weight`)) || null,
+            cpusetCpus: readCgroupFile(`${CGROUP_V2_DIR}/cpuset.cpus.effective`) || null
+        };
+    }
+
+    const quota = readCgroupFile(`${CGROUP_V1_CPU_DIR}/cpu.cfs_quota_us`);
+    if (quota === null) {
+        return null;
+    }
+    // v1 reports -1 when there is no quota
+    const quotaMicros = Number(quota) > 0 ? Number(quota) : null;
+    const periodMicros = Number(readCgroupFile(`${CGROUP_V1_CPU_DIR}/cpu.cfs_period_us`)) || null;
+    return {
+        cgroupVersion: 1,
+        quotaMicros: quotaMicros,
+        periodMicros: periodMicros,
+        quotaCores: quotaMicros && periodMicros ? Number((quotaMicros / periodMicros).toFixed(2)) : null,
+        shares: Number(readCgroupFile(`${CGROUP_V1_CPU_DIR}/cpu.shares`)) || null,
+        cpusetCpus: readCgroupFile(`${CGROUP_V1_CPUSET_DIR}/cpuset.cpus`) || null
+    };
+}
+
+// Cores the process can actually use: the lowest of the CPU quota, the cpuset and the
+// CPUs the OS reports. The quota may be fractional (e.g. 0.5 for a 500m limit).
+function effectiveCores(cgroupCpu = readCgroupCpu()) {
+    const limits = [os.availableParallelism ? os.availableParallelism() : os.cpus().length];
+    if (cgroupCpu && cgroupCpu.quotaCores) {
+        limits.push(cgroupCpu.quotaCores);
+    }
+    if (cgroupCpu && cgroupCpu.cpusetCpus) {
+        limits.push(countCpuList(cgroupCpu.cpusetCpus));
+    }
+    return Math.min(...limits);
+}
+
+// Current value of a memory metric in MB
+function measureMemoryMB(metric) {
+    if (metric === 'rss') {
+        return process.memoryUsage.rss() / 1024 / 1024;
+    }
+    if (metric === 'cgroup') {
+        const bytes = readCgroupMemoryBytes();
+        return bytes === null ? 0 : bytes / 1024 / 1024;
+    }
+    return process.memoryUsage().heapUsed / 1024 / 1024;
+}
+
+// Returns an error message for an unsupported memory metric, or null when it can be used
+function validateMemoryMetric(metric) {
+    if (metric === undefined) {
+        return null;
+    }
+    if (!MEMORY_METRICS[metric]) {
+        return `metric must be one of ${Object.keys(MEMORY_METRICS).join(', ')} if provided`;
+    }
+    if (metric === 'cgroup' && readCgroupMemoryBytes() === null) {
+        return 'metric cgroup is not available: no cgroup v1 or v2 memory usage file found';
+    }
+    return null;
+}
+
+// Memory allocation modes for the controlled memory tests:
+//   heap   - JavaScript arrays on the V8 heap, bounded by --max-old-space-size
+//   buffer - Buffer chunks of exactly BUFFER_CHUNK_MB outside the V8 heap, with every
+//            byte written so the pages are committed and count towards RSS
+const MEMORY_MODES = ['heap', 'buffer'];
+const BUFFER_CHUNK_MB = 10;
+// Caps a single 100ms tick at 250MB so large requests ramp up quickly without
+// blocking the event loop for long
+const BUFFER_MAX_CHUNKS_PER_TICK = 25;
+
+// Allocate one off-heap chunk of exactly BUFFER_CHUNK_MB and touch every page
+function allocateBufferChunk() {
+    return Buffer.allocUnsafeSlow(BUFFER_CHUNK_MB * 1024 * 1024).fill(0x5a);
+}
+
+// Metric a memory mode holds when none is given. Off-heap buffers never show up in
+// heapUsed, so buffer mode tracks RSS instead.
+function defaultMemoryMetric(mode) {
+    return mode === 'buffer' ? 'rss' : 'heapUsed';
+}
+
+// Returns an error message for an unsupported memory mode or mode/metric combination,
+// or null when they can be used
+function validateMemoryMode(mode, metric) {
+    if (mode === undefined) {
+        return null;
+    }
+    if (!MEMORY_MODES.includes(mode)) {
+        return `mode must be one of ${MEMORY_MODES.join(', ')} if provided`;
+    }
+    if (mode === 'buffer' && metric === 'heapUsed') {
+        return 'metric heapUsed cannot be used with mode buffer: buffers are allocated outside the V8 heap';
+    }
+    return null;
+}
+
+// Exact size in MB of the off-heap chunks held by a buffer mode test
+function allocatedBufferMB(chunks) {
+    return chunks.length * BUFFER_CHUNK_MB;
+}
+
+// Allocate or release memory so that currentMemoryMB moves into the min/max band
+function adjustMemory(arrays, currentMemoryMB, minMemoryMB, maxMemoryMB, mode = 'heap') {
+    if (mode === 'buffer') {
+        adjustBufferMemory(arrays, currentMemoryMB, minMemoryMB, maxMemoryMB);
+        return;
+    }
+
+    // Allocate more memory if below minimum
+    if (currentMemoryMB < minMemoryMB) {
+        // Allocate roughly 8MB of pointers per iteration, since every slot references
+        // the same interned string
+        const largeArray = new Array(1024 * 1024).fill('X'.repeat(10));
+        arrays.push(largeArray);
+    }
+    // Release memory if above maximum
+    else if (currentMemoryMB > maxMemoryMB && arrays.length > 0) {
+        // Remove some arrays to reduce memory
+        const removeCount = Math.ceil(arrays.length * 0.2); // Remove 20% of arrays
+        arrays.splice(0, removeCount);
+        // Force garbage collection hint
+        if (global.gc) {
+            global.gc();
+        }
+    }
+    // Maintain memory within range
+    else if (currentMemoryMB >= minMemoryMB && currentMemoryMB <= maxMemoryMB) {
+        // Occasionally allocate or release to simulate fluctuation
+        if (Math.random() > 0.5 && currentMemoryMB < maxMemoryMB * 0.9) {
+            const smallArray = new Array(512 * 1024).fill('Y'.repeat(10));
+            arrays.push(smallArray);
+        } else if (arrays.length > 0 && currentMemoryMB > minMemoryMB * 1.1) {
+            arrays.pop();
+        }
+    }
+}
+
+// Buffer mode counterpart of adjustMemory. Chunks have an exact size, so the gap to the
+// band can be closed in whole chunks instead of one allocation per tick.
+function adjustBufferMemory(chunks, currentMemoryMB, minMemoryMB, maxMemoryMB) {
+    if (currentMemoryMB < minMemoryMB) {
+        const count = Math.min(BUFFER_MAX_CHUNKS_PER_TICK, Math.ceil((minMemoryMB - currentMemoryMB) / BUFFER_CHUNK_MB));
+        for (let i = 0; i < count; i++) {
+            chunks.push(allocateBufferChunk());
+        }
+    }
+    else if (currentMemoryMB > maxMemoryMB && chunks.length > 0) {
+        const removeCount = Math.min(chunks.length, Math.ceil((currentMemoryMB - maxMemoryMB) / BUFFER_CHUNK_MB));
+        chunks.splice(0, removeCount);
+        if (global.gc) {
+            global.gc();
+        }
+    }
+    else if (currentMemoryMB >= minMemoryMB && currentMemoryMB <= maxMemoryMB) {
+        // Occasionally allocate or release a chunk to simulate fluctuation
+        if (Math.random() > 0.5 && currentMemoryMB + BUFFER_CHUNK_MB < maxMemoryMB) {
+            chunks.push(allocateBufferChunk());
+        } else if (chunks.length > 0 && currentMemoryMB - BUFFER_CHUNK_MB > minMemoryMB) {
+            chunks.pop();
+        }
+    }
+}
+
+// Controlled memory stress test with min/max memory bounds on the chosen metric
+function controlledMemoryStress(durationSeconds, minMemoryMB, maxMemoryMB, metric = 'heapUsed', mode = 'heap', job = null) {
+    const startTime = Date.now();
+    const endTime = startTime + (durationSeconds * 1000);
+    const arrays = [];
+    let currentMemoryMB = 0;
+    let peakAllocatedMB = 0;
+
+    return new Promise((resolve) => {
+        const finish = (cancelled) => {
+            clearInterval(interval);
+            const finalMemory = measureMemoryMB(metric);
+            const allocated = mode === 'buffer' ? { allocatedMB: allocatedBufferMB(arrays), peakAllocatedMB: peakAllocatedMB } : {};
+            // Clear arrays to release memory
+            arrays.length = 0;
+            if (global.gc) {
+                global.gc();
+            }
+            resolve({
+                type: 'Controlled Memory',
+                duration: durationSeconds,
+                metric: metric,
+                mode: mode,
+                minMemoryMB: minMemoryMB,
+                maxMemoryMB: maxMemoryMB,
+                finalMemoryMB: finalMemory,
+                ...allocated,
+                completed: !cancelled,
+                cancelled: cancelled,
+                timestamp: new Date().toISOString()
+            });
+        };
+
+        const interval = setInterval(() => {
+            currentMemoryMB = measureMemoryMB(metric);
+
+            adjustMemory(arrays, currentMemoryMB, minMemoryMB, maxMemoryMB, mode);
+            peakAllocatedMB = Math.max(peakAllocatedMB, allocatedBufferMB(arrays));
+            if (job) {
+                job.target = { resource: MEMORY_METRICS[metric], configured: { min: minMemoryMB, max: maxMemoryMB }, achieved: Number(currentMemoryMB.toFixed(2)) };
+            }
+
+            if (Date.now() >= endTime) {
+                finish(false);
+            }
+        }, 100);
+
+        if (job) {
+            job.stop = () => finish(true);
+        }
+    });
+}
+
+// Top of the highest band a memory profile holds
+function memoryProfilePeakMB(profile) {
+    return profilePeakLevel(profile) + (profile.band || 50) / 2;
+}
+
+// Memory load profile - holds the chosen metric within a band of profile.band MB
+// (default 50) centred on the profile level
+function profileMemoryStress(profile, metric = 'heapUsed', mode = 'heap', job = null) {
+    const durationSeconds = profileDuration(profile);
+    const band = profile.band || 50;
+    const startTime = Date.now();
+    const endTime = startTime + (durationSeconds * 1000);
+    const arrays = [];
+    let peakMemoryMB = 0;
+    let peakAllocatedMB = 0;
+
+    return new Promise((resolve) => {
+        const finish = (cancelled) => {
+            clearInterval(interval);
+            const finalMemory = measureMemoryMB(metric);
+            const allocated = mode === 'buffer' ? { allocatedMB: allocatedBufferMB(arrays), peakAllocatedMB: peakAllocatedMB } : {};
+            // Clear arrays to release memory
+            arrays.length = 0;
+            if (global.gc) {
+                global.gc();
+            }
+            resolve({
+                type: 'Controlled Memory',
+                duration: durationSeconds,
+                metric: metric,
+                mode: mode,
+                profile: profile,
+                finalMemoryMB: finalMemory,
+                peakMemoryMB: peakMemoryMB,
+                ...allocated,
+                completed: !cancelled,
+                cancelled: cancelled,
+                timestamp: new Date().toISOString()
+            });
+        };
+
+        const interval = setInterval(() => {
+            const currentMemoryMB = measureMemoryMB(metric);
+            peakMemoryMB = Math.max(peakMemoryMB, currentMemoryMB);
+
+            const phase = profileLevelAt(profile, (Date.now() - startTime) / 1000);
+            if (job) {
+                job.phase = phase;
+            }
+            const minMemoryMB = Math.max(0, phase.level - band / 2);
+            const maxMemoryMB = phase.level + band / 2;
+            adjustMemory(arrays, currentMemoryMB, minMemoryMB, maxMemoryMB, mode);
+            peakAllocatedMB = Math.max(peakAllocatedMB, allocatedBufferMB(arrays));
+            if (job) {
+                job.target = { resource: MEMORY_METRICS[metric], configured: { min: minMemoryMB, max: maxMemoryMB }, achieved: Number(currentMemoryMB.toFixed(2)) };
+            }
+
+            if (Date.now() >= endTime) {
+                finish(false);
+            }
+        }, 100);
+
+        if (job) {
+            job.stop = () => finish(true);
+        }
+    });
+}
+
+// CPU and memory sample shared by continuousLogging and the event stream. CPU is the
+// approximate percentage of one core used since previousCpuUsage, intervalSeconds ago.
+function sampleResources(previousCpuUsage, intervalSeconds) {
+    const currentCpuUsage = process.cpuUsage(previousCpuUsage);
+    const memoryUsage = process.memoryUsage();
+
+    return {
+        cpuPercent: (currentCpuUsage.user + currentCpuUsage.system) / 1000000 / intervalSeconds * 100,
+        heapUsedMB: memoryUsage.heapUsed / 1024 / 1024,
+        heapTotalMB: memoryUsage.heapTotal / 1024 / 1024,
+        rssMB: memoryUsage.rss / 1024 / 1024,
+        externalMB: memoryUsage.external / 1024 / 1024
+    };
+}
+
+// Continuous logging function
+function continuousLogging(intervalSeconds, durationSeconds = null, format = logFormat, job = null) {
+    const startTime = Date.now();
+    const jobFields = job ? { jobId: job.id } : {};
+    let logCount = 0;
+    let previousCpuUsage = process.cpuUsage();
+
+    return new Promise((resolve) => {
+        log('info', `[LOGS] Starting continuous logging every ${intervalSeconds} seconds...`, jobFields, format);
+
+        const finish = (cancelled) => {
+            clearInterval(interval);
+            const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+            log('info', `[LOGS] Continuous logging ${cancelled ? 'cancelled' : 'completed'} after ${logCount} log entries`, { ...jobFields, logCount }, format);
+            resolve({
+                type: 'Continuous Logging',
+                intervalSeconds: intervalSeconds,
+                totalDuration: elapsed,
+                logCount: logCount,
+                completed: !cancelled,
+                cancelled: cancelled,
+                timestamp: new Date().toISOString()
+            });
+        };
+
+        const interval = setInterval(() => {
+            const sample = sampleResources(previousCpuUsage, intervalSeconds);
+            const cpuPercent = sample.cpuPercent.toFixed(2);
+            const heapUsedMB = sample.heapUsedMB.toFixed(2);
+            const heapTotalMB = sample.heapTotalMB.toFixed(2);
+            const rssMB = sample.rssMB.toFixed(2);
+            const externalMB = sample.externalMB.toFixed(2);
+
+            logCount++;
+            const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+
+            const message = format === 'json'
+                ? 'Resource usage sample'
+                : `[LOGS-${logCount}] [${elapsed}s] CPU: ${cpuPercent}% | Memory - Heap: ${heapUsedMB}/${heapTotalMB} MB | RSS: ${rssMB} MB | External: ${externalMB} MB | Timestamp: ${new Date().toISOString()}`;
+            log('info', message, {
+                ...jobFields,
+                logCount: logCount,
+                elapsedSeconds: Number(elapsed),
+                cpuPercent: Number(cpuPercent),
+                heapUsedMB: Number(heapUsedMB),
+                heapTotalMB: Number(heapTotalMB),
+                rssMB: Number(rssMB),
+                externalMB: Number(externalMB)
+            }, format);
+
+            previousCpuUsage = process.cpuUsage();
+
+            // If duration is specified and reached, stop logging
+            if (durationSeconds && (Date.now() - startTime) >= (durationSeconds * 1000)) {
+                finish(false);
+            }
+        }, intervalSeconds * 1000);
+
+        interval.unref(); // Allow process to exit even if interval is running
+
+        if (job) {
+            job.stop = () => finish(true);
+        }
+    });
+}
+
+// Guardrails - limits checked before a test starts:
+//   MAX_DURATION_SECONDS      longest duration of a CPU, memory, leak or scenario test
+//   MAX_MEMORY                largest memory target in MB ("4096"), or a percentage of the
+//                             container memory limit ("80%", of host memory without a limit)
+//   MAX_CONCURRENT_JOBS       running jobs allowed per type, overridden for one type by
+//                             MAX_CONCURRENT_JOBS_<TYPE> (e.g. MAX_CONCURRENT_JOBS_CONTROLLED_MEMORY)
+//   CONCURRENCY_LIMIT_ACTION  reject (429, the default) or queue jobs until a slot frees up
+//   MAX_QUEUED_JOBS           queued jobs allowed per type before requests are rejected (default 10)
+function resolveMaxMemoryMB(value) {
+    if (!value) {
+        return null;
+    }
+    if (value.trim().endsWith('%')) {
+        const limitBytes = readCgroupMemoryLimitBytes() || os.totalmem();
+        return Math.floor(limitBytes / 1024 / 1024 * parseFloat(value) / 100) || null;
+    }
+    return parseFloat(value) || null;
+}
+
+const guardrails = {
+    maxDurationSeconds: parseFloat(process.env.MAX_DURATION_SECONDS) || null,
+    maxMemoryMB: resolveMaxMemoryMB(process.env.MAX_MEMORY),
+    maxConcurrentJobs: parseInt(process.env.MAX_CONCURRENT_JOBS, 10) || null,
+    limitAction: process.env.CONCURRENCY_LIMIT_ACTION === 'queue' ? 'queue' : 'reject',
+    maxQueuedJobs: parseInt(process.env.MAX_QUEUED_JOBS, 10) || 10
+};
+
+// Running jobs allowed for a job type (Infinity when unlimited)
+function concurrencyLimit(type) {
+    const perType = parseInt(process.env[`MAX_CONCURRENT_JOBS_${type.toUpperCase().replace(/ /g, '_')}`], 10);
+    return perType || guardrails.maxConcurrentJobs || Infinity;
+}
+
+// Returns { status, body } when a test would break a guardrail, or null when it may start.
+// durationSeconds and memoryMB are only checked when given; null means unbounded.
+function checkGuardrails(type, request = {}) {
+    const { durationSeconds, memoryMB } = request;
+    const violation = (status, error, limit, maximum) => ({ status, body: { error, limit, maximum } });
+    const { maxDurationSeconds, maxMemoryMB } = guardrails;
+
+    if (maxDurationSeconds !== null && durationSeconds !== undefined) {
+        if (durationSeconds === null) {
+            return violation(400, `A duration of at most ${maxDurationSeconds}s is required (MAX_DURATION_SECONDS)`, 'maxDurationSeconds', maxDurationSeconds);
+        }
+        if (durationSeconds > maxDurationSeconds) {
+            return violation(400, `Duration of ${durationSeconds}s exceeds the maximum of ${maxDurationSeconds}s (MAX_DURATION_SECONDS)`, 'maxDurationSeconds', maxDurationSeconds);
+        }
+    }
+
+    if (maxMemoryMB !== null && memoryMB !== undefined) {
+        if (memoryMB === null) {
+            return violation(400, `A memory ceiling of at most ${maxMemoryMB}MB is required (MAX_MEMORY)`, 'maxMemoryMB', maxMemoryMB);
+        }
+        if (memoryMB > maxMemoryMB) {
+            return violation(400, `Memory of ${memoryMB}MB exceeds the maximum of ${maxMemoryMB}MB (MAX_MEMORY)`, 'maxMemoryMB', maxMemoryMB);
+        }
+    }
+
+    const limit = concurrencyLimit(type);
+    const running = runningJobCount(type);
+    if (running >= limit) {
+        if (guardrails.limitAction !== 'queue') {
+            return violation(429, `Too many running ${type} jobs: ${running} of ${limit} allowed (MAX_CONCURRENT_JOBS)`, 'maxConcurrentJobs', limit);
+        }
+        const queued = (jobQueues.get(type) || []).length;
+        if (queued >= guardrails.maxQueuedJobs) {
+            return violation(429, `The ${type} queue is full: ${queued} jobs waiting for ${limit} running slots (MAX_QUEUED_JOBS)`, 'maxQueuedJobs', guardrails.maxQueuedJobs);
+        }
+    }
+
+    return null;
+}
+
+// Start the CPU generator matching the requested options
+function startCpuJob(seconds, cores, targetPercent, profile = null) {
+    if (profile) {
+        return startJob('CPU', { cores, profile }, profileDuration(profile), (job) => profileCpuStress(profile, cores, job));
+    }
+    if (targetPercent) {
+        return startJob('CPU', { seconds, cores, targetPercent }, seconds, (job) => targetCpuStress(seconds, targetPercent, cores, job));
+    }
+    if (cores) {
+        return startJob('CPU', { seconds, cores }, seconds, (job) => multiCoreCpuStress(seconds, cores, job));
+    }
+    return startJob('CPU', { seconds }, seconds, (job) => cpuStress(seconds, job));
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Profile:
+ *       type: object
+ *       description: Load profile - levels are CPU percent for /cpu and memory MB for /memory-test
+ *       required:
+ *         - phases
+ *       properties:
+ *         band:
+ *           type: number
+ *           description: Width in MB of the memory band held around the level (memory only, default 50)
+ *           example: 50
+ *         phases:
+ *           type: array
+ *           items:
+ *             type: object
+ *             required:
+ *               - pattern
+ *               - duration
+ *             properties:
+ *               pattern:
+ *                 type: string
+ *                 enum: [constant, ramp, step, sine, spike]
+ *               duration:
+ *                 type: number
+ *                 description: Phase duration in seconds
+ *               level:
+ *                 type: number
+ *                 description: constant level
+ *               from:
+ *                 type: number
+ *                 description: ramp/step start level
+ *               to:
+ *                 type: number
+ *                 description: ramp/step end level
+ *               steps:
+ *                 type: integer
+ *                 description: Number of step levels
+ *               min:
+ *                 type: number
+ *                 description: sine minimum level
+ *               max:
+ *                 type: number
+ *                 description: sine maximum level
+ *               period:
+ *                 type: number
+ *                 description: sine period in seconds
+ *               base:
+ *                 type: number
+ *                 description: spike base level
+ *               peak:
+ *                 type: number
+ *                 description: spike peak level
+ *               every:
+ *                 type: number
+ *                 description: Seconds between the starts of two spikes
+ *               spikeDuration:
+ *                 type: number
+ *                 description: Seconds each spike lasts
+ *           example:
+ *             - pattern: ramp
+ *               duration: 300
+ *               from: 10
+ *               to: 90
+ *             - pattern: sine
+ *               duration: 300
+ *               min: 20
+ *               max: 80
+ *               period: 60
+ */
+
+/**
+ * @swagger
+ * /cpu:
+ *   post:
+ *     summary: Execute a CPU stress test
+ *     description: Performs CPU-intensive calculations for specified duration
+ *     tags:
+ *       - CPU Testing
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               seconds:
+ *                 type: number
+ *                 description: Duration of the CPU stress test in seconds (required unless profile is given)
+ *                 example: 10
+ *               cores:
+ *                 type: integer
+ *                 description: Number of worker threads to spread the load across (alias workers), at most 4 per CPU. Omit to run on the main event loop
+ *                 example: 4
+ *               targetPercent:
+ *                 type: number
+ *                 description: Hold this CPU utilization (percent of one core, per core when cores is set) instead of spinning flat out
+ *                 example: 60
+ *               profile:
+ *                 $ref: '#/components/schemas/Profile'
+ *     responses:
+ *       200:
+ *         description: CPU stress test completed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 jobId:
+ *                   type: string
+ *                 type:
+ *                   type: string
+ *                 duration:
+ *                   type: number
+ *                 cores:
+ *                   type: integer
+ *                 workers:
+ *                   type: array
+ *                   description: Per-worker iteration counts (multi-core mode only)
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       worker:
+ *                         type: integer
+ *                       iterations:
+ *                         type: number
+ *                 totalIterations:
+ *                   type: number
+ *                 targetPercent:
+ *                   type: number
+ *                 achievedAveragePercent:
+ *                   type: number
+ *                   description: Average measured CPU utilization (target mode only)
+ *                 achievedVariance:
+ *                   type: number
+ *                 achievedStdDev:
+ *                   type: number
+ *                 meanAbsoluteErrorPercent:
+ *                   type: number
+ *                   description: Average distance between target and measured utilization
+ *                 sampleCount:
+ *                   type: integer
+ *                 profile:
+ *                   $ref: '#/components/schemas/Profile'
+ *                 completed:
+ *                   type: boolean
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Invalid input parameters
+ *       429:
+ *         description: Concurrency limit reached, or the queue is full (see Guardrails)
+ *       500:
+ *         description: CPU stress test failed
+ */
+app.post('/cpu', async (req, res) => {
+    const { seconds, targetPercent, profile } = req.body;
+    const cores = req.body.cores !== undefined ? req.body.cores : req.body.workers;
+
+    // Validate input
+    if (profile !== undefined) {
+        const profileError = validateProfile(profile, 100);
+        if (profileError) {
+            return res.status(400).json({
+                error: `Invalid profile: ${profileError}`
+            });
+        }
+    } else if (!seconds) {
+        return res.status(400).json({
+            error: 'Missing required parameter: seconds is required'
+        });
+    }
+
+    if (profile === undefined && (typeof seconds !== 'number' || seconds <= 0)) {
+        return res.status(400).json({
+            error: 'seconds must be a positive number'
+        });
+    }
+
+    if (cores !== undefined && (!Number.isInteger(cores) || cores <= 0 || cores > MAX_CPU_WORKERS)) {
+        return res.status(400).json({
+            error: `cores must be a positive integer of at most ${MAX_CPU_WORKERS} (4 per CPU) if provided`
+        });
+    }
+
+    if (targetPercent !== undefined && (typeof targetPercent !== 'number' || targetPercent <= 0 || targetPercent > 100)) {
+        return res.status(400).json({
+            error: 'targetPercent must be a number between 0 and 100 if provided'
+        });
+    }
+
+    const violation = checkGuardrails('CPU', { durationSeconds: profile ? profileDuration(profile) : seconds });
+    if (violation) {
+        return res.status(violation.status).json(violation.body);
+    }
+
+    const job = startCpuJob(seconds, cores || null, targetPercent || null, profile || null);
+    if (profile) {
+        log('info', `Starting CPU load profile with ${profile.phases.length} phases over ${profileDuration(profile)} seconds${cores ? ` on ${cores} cores` : ''} (job ${job.id})...`, { jobId: job.id });
+    } else {
+        log('info', `Starting CPU stress test for ${seconds} seconds${cores ? ` on ${cores} cores` : ''}${targetPercent ? ` at ${targetPercent}%` : ''} (job ${job.id})...`, { jobId: job.id });
+    }
+
+    try {
+        const result = await job.promise;
+        log('info', `CPU stress test ${job.state} (job ${job.id})`, { jobId: job.id });
+        res.json({ jobId: job.id, ...result });
+    } catch (error) {
+        log('error', 'Error during CPU stress test:', { jobId: job.id, error });
+        res.status(500).json({
+            error: 'CPU stress test failed',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /cpu:
+ *   get:
+ *     summary: Execute a CPU stress test (query params)
+ *     description: Performs CPU stress test - starts async and returns immediately
+ *     tags:
+ *       - CPU Testing
+ *     parameters:
+ *       - in: query
+ *         name: seconds
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Duration of the CPU stress test in seconds
+ *         example: 10
+ *       - in: query
+ *         name: cores
+ *         required: false
+ *         schema:
+ *           type: integer
+ *         description: Number of worker threads to spread the load across (alias workers), at most 4 per CPU
+ *         example: 4
+ *       - in: query
+ *         name: targetPercent
+ *         required: false
+ *         schema:
+ *           type: number
+ *         description: Hold this CPU utilization (percent of one core, per core when cores is set)
+ *         example: 60
+ *     responses:
+ *       200:
+ *         description: CPU stress test started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 type:
+ *                   type: string
+ *                 duration:
+ *                   type: number
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Invalid input parameters
+ *       429:
+ *         description: Concurrency limit reached, or the queue is full (see Guardrails)
+ */
+app.get('/cpu', (req, res) => {
+    const { seconds, targetPercent } = req.query;
+    const cores = req.query.cores !== undefined ? req.query.cores : req.query.workers;
+
+    // Convert to numbers
+    const secondsNum = parseInt(seconds, 10);
+    const coresNum = cores !== undefined ? Number(cores) : null;
+    const targetPercentNum = targetPercent !== undefined ? Number(targetPercent) : null;
+
+    // Validate input
+    if (!seconds) {
+        return res.status(400).json({
+            error: 'Missing required query parameter: seconds is required',
+            example: '/cpu?seconds=10'
+        });
+    }
+
+    if (isNaN(secondsNum) || secondsNum <= 0) {
+        return res.status(400).json({
+            error: 'seconds must be a positive number'
+        });
+    }
+
+    if (cores !== undefined && (!Number.isInteger(coresNum) || coresNum <= 0 || coresNum > MAX_CPU_WORKERS)) {
+        return res.status(400).json({
+            error: `cores must be a positive integer of at most ${MAX_CPU_WORKERS} (4 per CPU) if provided`
+        });
+    }
+
+    if (targetPercent !== undefined && (isNaN(targetPercentNum) || targetPercentNum <= 0 || targetPercentNum > 100)) {
+        return res.status(400).json({
+            error: 'targetPercent must be a number between 0 and 100 if provided'
+        });
+    }
+
+    const violation = checkGuardrails('CPU', { durationSeconds: secondsNum });
+    if (violation) {
+        return res.status(violation.status).json(violation.body);
+    }
+
+    const job = startCpuJob(secondsNum, coresNum, targetPercentNum);
+    log('info', `Starting CPU stress test for ${secondsNum} seconds${coresNum ? ` on ${coresNum} cores` : ''}${targetPercentNum ? ` at ${targetPercentNum}%` : ''} (job ${job.id})...`, { jobId: job.id });
+
+    // Run async but don't wait for response (track via /jobs for GET)
+    (async () => {
+        try {
+            await job.promise;
+            log('info', `CPU stress test ${job.state} (job ${job.id})`, { jobId: job.id });
+        } catch (error) {
+            log('error', 'Error during CPU stress test:', { jobId: job.id, error });
+        }
+    })();
+
+    res.json({
+        status: 'started',
+        jobId: job.id,
+        type: 'CPU',
+        duration: secondsNum,
+        cores: coresNum,
+        targetPercent: targetPercentNum,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Start a continuous logging job (indefinite when durationSeconds is null)
+function startLoggingJob(seconds, durationSeconds, format = logFormat) {
+    return startJob('Continuous Logging', { seconds, duration: durationSeconds, format }, durationSeconds,
+        (job) => continuousLogging(seconds, durationSeconds, format, job));
+}
+
+/**
+ * @swagger
+ * /logs:
+ *   post:
+ *     summary: Start continuous logging
+ *     description: Continuously outputs log entries with CPU and memory usage information at specified intervals
+ *     tags:
+ *       - Logging
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - seconds
+ *             properties:
+ *               seconds:
+ *                 type: number
+ *                 description: Interval in seconds between log entries
+ *                 example: 5
+ *               duration:
+ *                 type: number
+ *                 description: Optional total duration in seconds (if not specified, logs indefinitely)
+ *                 example: 60
+ *               format:
+ *                 type: string
+ *                 enum: [text, json]
+ *                 description: Log line format for this run (defaults to LOG_FORMAT)
+ *     responses:
+ *       200:
+ *         description: Logging started or completed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 intervalSeconds:
+ *                   type: number
+ *                 duration:
+ *                   type: number
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Invalid input parameters
+ *       429:
+ *         description: Concurrency limit reached, or the queue is full (see Guardrails)
+ *       500:
+ *         description: Logging failed
+ */
+app.post('/logs', async (req, res) => {
+    const { seconds, duration, format } = req.body;
+
+    // Validate input
+    if (!seconds) {
+        return res.status(400).json({
+            error: 'Missing required parameter: seconds is required'
+        });
+    }
+
+    if (typeof seconds !== 'number' || seconds <= 0) {
+        return res.status(400).json({
+            error: 'seconds must be a positive number'
+        });
+    }
+
+    if (duration !== undefined && (typeof duration !== 'number' || duration <= 0)) {
+        return res.status(400).json({
+            error: 'duration must be a positive number if provided'
+        });
+    }
+
+    if (format !== undefined && !LOG_FORMATS.includes(format)) {
+        return res.status(400).json({
+            error: `format must be one of ${LOG_FORMATS.join(', ')} if provided`
+        });
+    }
+
+    const violation = checkGuardrails('Continuous Logging', { durationSeconds: duration ?? null });
+    if (violation) {
+        return res.status(violation.status).json(violation.body);
+    }
+
+    const job = startLoggingJob(seconds, duration || null, format || logFormat);
+    log('info', `Starting continuous logging with ${seconds}s intervals${duration ? ` for ${duration}s total` : ' (indefinite)'} (job ${job.id})...`, { jobId: job.id }, job.parameters.format);
+
+    if (duration) {
+        // If duration is specified, wait for completion
+        try {
+            const result = await job.promise;
+            res.json({ jobId: job.id, ...result });
+        } catch (error) {
+            log('error', 'Error during continuous logging:', { jobId: job.id, error });
+            res.status(500).json({
+                error: 'Logging failed',
+                message: error.message
+            });
+        }
+    } else {
+        // If no duration, start logging and return immediately (stop via DELETE /jobs/:id)
+        job.promise.catch((error) => log('error', 'Error during continuous logging:', { jobId: job.id, error }));
+        res.json({
+            status: 'started',
+            jobId: job.id,
+            type: 'Continuous Logging',
+            intervalSeconds: seconds,
+            mode: 'indefinite',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /logs:
+ *   get:
+ *     summary: Start continuous logging (query params)
+ *     description: Continuously outputs log entries - starts async and returns immediately
+ *     tags:
+ *       - Logging
+ *     parameters:
+ *       - in: query
+ *         name: seconds
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Interval in seconds between log entries
+ *         example: 5
+ *       - in: query
+ *         name: duration
+ *         required: false
+ *         schema:
+ *           type: integer
+ *         description: Optional total duration in seconds
+ *         example: 60
+ *       - in: query
+ *         name: format
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [text, json]
+ *         description: Log line format for this run (defaults to LOG_FORMAT)
+ *     responses:
+ *       200:
+ *         description: Logging started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 type:
+ *                   type: string
+ *                 intervalSeconds:
+ *                   type: number
+ *                 duration:
+ *                   type: number
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Invalid input parameters
+ *       429:
+ *         description: Concurrency limit reached, or the queue is full (see Guardrails)
+ */
+app.get('/logs', (req, res) => {
+    const { seconds, duration, format } = req.query;
+
+    // Convert to numbers
+    const secondsNum = parseInt(seconds, 10);
+    const durationNum = duration ? parseInt(duration, 10) : null;
+
+    // Validate input
+    if (!seconds) {
+        return res.status(400).json({
+            error: 'Missing required query parameter: seconds is required',
+            example: '/logs?seconds=5'
+        });
+    }
+
+    if (isNaN(secondsNum) || secondsNum <= 0) {
+        return res.status(400).json({
+            error: 'seconds must be a positive number'
+        });
+    }
+
+    if (duration && (isNaN(durationNum) || durationNum <= 0)) {
+        return res.status(400).json({
+            error: 'duration must be a positive number if provided'
+        });
+    }
+
+    if (format !== undefined && !LOG_FORMATS.includes(format)) {
+        return res.status(400).json({
+            error: `format must be one of ${LOG_FORMATS.join(', ')} if provided`
+        });
+    }
+
+    const violation = checkGuardrails('Continuous Logging', { durationSeconds: durationNum });
+    if (violation) {
+        return res.status(violation.status).json(violation.body);
+    }
+
+    const job = startLoggingJob(secondsNum, durationNum, format || logFormat);
+    log('info', `Starting continuous logging with ${secondsNum}s intervals${durationNum ? ` for ${durationNum}s total` : ' (indefinite)'} (job ${job.id})...`, { jobId: job.id }, job.parameters.format);
+
+    // Run async but don't wait for response (track via /jobs for GET)
+    job.promise.catch((error) => log('error', 'Error during continuous logging:', { jobId: job.id, error }));
+
+    res.json({
+        status: 'started',
+        jobId: job.id,
+        type: 'Continuous Logging',
+        intervalSeconds: secondsNum,
+        duration: durationNum,
+        mode: durationNum ? 'timed' : 'indefinite',
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Start the memory generator matching the requested options
+function startMemoryJob(timePeriod, minMemory, maxMemory, profile = null, metric = 'heapUsed', mode = 'heap') {
+    if (profile) {
+        return startJob('Controlled Memory', { profile, metric, mode }, profileDuration(profile), (job) => profileMemoryStress(profile, metric, mode, job));
+    }
+    return startJob('Controlled Memory', { timePeriod, minMemory, maxMemory, metric, mode }, timePeriod,
+        (job) => controlledMemoryStress(timePeriod, minMemory, maxMemory, metric, mode, job));
+}
+
+/**
+ * @swagger
+ * /memory-test:
+ *   post:
+ *     summary: Execute a controlled memory test
+ *     description: Performs memory stress test maintaining memory usage between min and max thresholds
+ *     tags:
+ *       - Memory Testing
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: Either timePeriod, minMemory and maxMemory, or a profile
+ *             properties:
+ *               profile:
+ *                 $ref: '#/components/schemas/Profile'
+ *               timePeriod:
+ *                 type: number
+ *                 description: Duration of the test in seconds
+ *                 example: 30
+ *               minMemory:
+ *                 type: number
+ *                 description: Minimum memory usage in MB
+ *                 example: 100
+ *               maxMemory:
+ *                 type: number
+ *                 description: Maximum memory usage in MB
+ *                 example: 300
+ *               metric:
+ *                 type: string
+ *                 enum: [heapUsed, rss, cgroup]
+ *                 description: Memory figure held within the band - V8 heap (default), process RSS, or the container cgroup working set
+ *                 example: cgroup
+ *               mode:
+ *                 type: string
+ *                 enum: [heap, buffer]
+ *                 description: How memory is allocated - JavaScript arrays on the V8 heap (default), or exact 10MB Buffer chunks outside the heap with every page committed. Buffer mode defaults the metric to rss and cannot hold heapUsed.
+ *                 example: buffer
+ *     responses:
+ *       200:
+ *         description: Memory test completed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 type:
+ *                   type: string
+ *                 duration:
+ *                   type: number
+ *                 metric:
+ *                   type: string
+ *                 mode:
+ *                   type: string
+ *                 minMemoryMB:
+ *                   type: number
+ *                 maxMemoryMB:
+ *                   type: number
+ *                 finalMemoryMB:
+ *                   type: number
+ *                 peakMemoryMB:
+ *                   type: number
+ *                   description: Peak value of the metric (profile mode only)
+ *                 allocatedMB:
+ *                   type: number
+ *                   description: Exact size of the off-heap chunks held when the test ended (buffer mode only)
+ *                 peakAllocatedMB:
+ *                   type: number
+ *                   description: Largest exact size of off-heap chunks held during the test (buffer mode only)
+ *                 profile:
+ *                   $ref: '#/components/schemas/Profile'
+ *                 completed:
+ *                   type: boolean
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Invalid input parameters
+ *       429:
+ *         description: Concurrency limit reached, or the queue is full (see Guardrails)
+ *       500:
+ *         description: Memory test failed
+ */
+app.post('/memory-test', async (req, res) => {
+    const { timePeriod, minMemory, maxMemory, profile, metric, mode } = req.body;
+
+    const metricError = validateMemoryMetric(metric) || validateMemoryMode(mode, metric);
+    if (metricError) {
+        return res.status(400).json({
+            error: metricError
+        });
+    }
+
+    if (profile !== undefined) {
+        const profileError = validateProfile(profile);
+        if (profileError) {
+            return res.status(400).json({
+                error: `Invalid profile: ${profileError}`
+            });
+        }
+
+        if (profile.band !== undefined && (typeof profile.band !== 'number' || profile.band <= 0)) {
+            return res.status(400).json({
+                error: 'Invalid profile: band must be a positive number (MB)'
+            });
+        }
+
+        const violation = checkGuardrails('Controlled Memory', { durationSeconds: profileDuration(profile), memoryMB: memoryProfilePeakMB(profile) });
+        if (violation) {
+            return res.status(violation.status).json(violation.body);
+        }
+
+        const job = startMemoryJob(null, null, null, profile, metric || defaultMemoryMetric(mode), mode || 'heap');
+        log('info', `Starting memory load profile with ${profile.phases.length} phases over ${profileDuration(profile)} seconds (job ${job.id})...`, { jobId: job.id });
+
+        try {
+            const result = await job.promise;
+            log('info', `Controlled memory test ${job.state} (job ${job.id})`, { jobId: job.id });
+            return res.json({ jobId: job.id, ...result });
+        } catch (error) {
+            log('error', 'Error during controlled memory test:', { jobId: job.id, error });
+            return res.status(500).json({
+                error: 'Memory test failed',
+                message: error.message
+            });
+        }
+    }
+
+    // Validate input
+    if (timePeriod === undefined || minMemory === undefined || maxMemory === undefined) {
+        return res.status(400).json({
+            error: 'Missing required parameters: timePeriod, minMemory, and maxMemory are required',
+            example: {
+                timePeriod: 30,
+                minMemory: 100,
+                maxMemory: 300
+            }
+        });
+    }
+
+    if (typeof timePeriod !== 'number' || timePeriod <= 0) {
+        return res.status(400).json({
+            error: 'timePeriod must be a positive number (seconds)'
+        });
+    }
+
+    if (typeof minMemory !== 'number' || minMemory <= 0) {
+        return res.status(400).json({
+            error: 'minMemory must be a positive number (MB)'
+        });
+    }
+
+    if (typeof maxMemory !== 'number' || maxMemory <= 0) {
+        return res.status(400).json({
+            error: 'maxMemory must be a positive number (MB)'
+        });
+    }
+
+    if (minMemory >= maxMemory) {
+        return res.status(400).json({
+            error: 'minMemory must be less than maxMemory'
+        });
+    }
+
+    const violation = checkGuardrails('Controlled Memory', { durationSeconds: timePeriod, memoryMB: maxMemory });
+    if (violation) {
+        return res.status(violation.status).json(violation.body);
+    }
+
+    const job = startMemoryJob(timePeriod, minMemory, maxMemory, null, metric || defaultMemoryMetric(mode), mode || 'heap');
+    log('info', `Starting controlled memory test for ${timePeriod} seconds (${minMemory}MB - ${maxMemory}MB of ${job.parameters.metric}, ${job.parameters.mode} mode) (job ${job.id})...`, { jobId: job.id });
+
+    try {
+        const result = await job.promise;
+        log('info', `Controlled memory test ${job.state} (job ${job.id})`, { jobId: job.id });
+        res.json({ jobId: job.id, ...result });
+    } catch (error) {
+        log('error', 'Error during controlled memory test:', { jobId: job.id, error });
+        res.status(500).json({
+            error: 'Memory test failed',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /memory-test:
+ *   get:
+ *     summary: Execute a controlled memory test (query params)
+ *     description: Performs memory stress test - starts async and returns immediately
+ *     tags:
+ *       - Memory Testing
+ *     parameters:
+ *       - in: query
+ *         name: timePeriod
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Duration of the test in seconds
+ *         example: 30
+ *       - in: query
+ *         name: minMemory
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Minimum memory usage in MB
+ *         example: 100
+ *       - in: query
+ *         name: maxMemory
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Maximum memory usage in MB
+ *         example: 300
+ *       - in: query
+ *         name: metric
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [heapUsed, rss, cgroup]
+ *         description: Memory figure held within the band (default heapUsed, or rss in buffer mode)
+ *         example: cgroup
+ *       - in: query
+ *         name: mode
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [heap, buffer]
+ *         description: Allocate on the V8 heap (default) or in exact 10MB off-heap Buffer chunks
+ *         example: buffer
+ *     responses:
+ *       200:
+ *         description: Memory test started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 type:
+ *                   type: string
+ *                 timePeriod:
+ *                   type: number
+ *                 minMemory:
+ *                   type: number
+ *                 maxMemory:
+ *                   type: number
+ *                 metric:
+ *                   type: string
+ *                 mode:
+ *                   type: string
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Invalid input parameters
+ *       429:
+ *         description: Concurrency limit reached, or the queue is full (see Guardrails)
+ */
+app.get('/memory-test', (req, res) => {
+    const { timePeriod, minMemory, maxMemory, metric, mode } = req.query;
+
+    // Convert to numbers
+    const timePeriodNum = parseInt(timePeriod, 10);
+    const minMemoryNum = parseInt(minMemory, 10);
+    const maxMemoryNum = parseInt(maxMemory, 10);
+
+    // Validate input
+    if (!timePeriod || !minMemory || !maxMemory) {
+        return res.status(400).json({
+            error: 'Missing required query parameters: timePeriod, minMemory, and maxMemory are required',
+            example: '/memory-test?timePeriod=30&minMemory=100&maxMemory=300'
+        });
+    }
+
+    if (isNaN(timePeriodNum) || timePeriodNum <= 0) {
+        return res.status(400).json({
+            error: 'timePeriod must be a positive number (seconds)'
+        });
+    }
+
+    if (isNaN(minMemoryNum) || minMemoryNum <= 0) {
+        return res.status(400).json({
+            error: 'minMemory must be a positive number (MB)'
+        });
+    }
+
+    if (isNaN(maxMemoryNum) || maxMemoryNum <= 0) {
+        return res.status(400).json({
+            error: 'maxMemory must be a positive number (MB)'
+        });
+    }
+
+    if (minMemoryNum >= maxMemoryNum) {
+        return res.status(400).json({
+            error: 'minMemory must be less than maxMemory'
+        });
+    }
+
+    const metricError = validateMemoryMetric(metric) || validateMemoryMode(mode, metric);
+    if (metricError) {
+        return res.status(400).json({
+            error: metricError
+        });
+    }
+
+    const violation = checkGuardrails('Controlled Memory', { durationSeconds: timePeriodNum, memoryMB: maxMemoryNum });
+    if (violation) {
+        return res.status(violation.status).json(violation.body);
+    }
+
+    const job = startMemoryJob(timePeriodNum, minMemoryNum, maxMemoryNum, null, metric || defaultMemoryMetric(mode), mode || 'heap');
+    log('info', `Starting controlled memory test for ${timePeriodNum} seconds (${minMemoryNum}MB - ${maxMemoryNum}MB of ${job.parameters.metric}, ${job.parameters.mode} mode) (job ${job.id})...`, { jobId: job.id });
+
+    // Run async but don't wait for response (track via /jobs for GET)
+    (async () => {
+        try {
+            await job.promise;
+            log('info', `Controlled memory test ${job.state} (job ${job.id})`, { jobId: job.id });
+        } catch (error) {
+            log('error', 'Error during controlled memory test:', { jobId: job.id, error });
+        }
+    })();
+
+    res.json({
+        status: 'started',
+        jobId: job.id,
+        type: 'Controlled Memory',
+        timePeriod: timePeriodNum,
+        minMemory: minMemoryNum,
+        maxMemory: maxMemoryNum,
+        metric: job.parameters.metric,
+        mode: job.parameters.mode,
+        timestamp: new Date().toISOString()
+    });
+});
+
+function startLeakJob(rate, ceiling, durationSeconds, shape = 'array') {
+    return startJob('Memory Leak', { rate, ceiling, duration: durationSeconds, shape }, durationSeconds,
+        (job) => memoryStress(durationSeconds, rate, ceiling, shape, job));
+}
+
+/**
+ * @swagger
+ * /memory-leak:
+ *   post:
+ *     summary: Start a memory leak simulation
+ *     description: Grows retained heap at a fixed rate until an optional ceiling is reached, then holds it. Without a ceiling the leak grows until the duration ends or the container is OOM-killed. Waits for completion when a duration is given, otherwise returns immediately (stop via DELETE /jobs/{id}).
+ *     tags:
+ *       - Memory Testing
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rate
+ *             properties:
+ *               rate:
+ *                 type: number
+ *                 description: Growth rate in MB per minute
+ *                 example: 50
+ *               ceiling:
+ *                 type: number
+ *                 description: Optional size in MB at which the leak stops growing
+ *                 example: 1024
+ *               duration:
+ *                 type: number
+ *                 description: Optional total duration in seconds (if not specified, leaks until cancelled)
+ *                 example: 1800
+ *               shape:
+ *                 type: string
+ *                 enum: [array, closures, cache, map]
+ *                 description: How leaked memory is referenced - plain arrays (default), closures, an unbounded cache of strings, or a growing Map of small entries
+ *                 example: map
+ *     responses:
+ *       200:
+ *         description: Leak completed, or started when no duration is given
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 type:
+ *                   type: string
+ *                 rateMBPerMinute:
+ *                   type: number
+ *                 ceilingMB:
+ *                   type: number
+ *                 shape:
+ *                   type: string
+ *                 leakedMB:
+ *                   type: number
+ *                   description: Memory retained by the leak when it ended, in ~1MB units
+ *                 peakMemoryMB:
+ *                   type: number
+ *                   description: Peak V8 heapUsed during the leak
+ *                 ceilingReachedSeconds:
+ *                   type: number
+ *                   description: Seconds until the ceiling was reached, null if it never was
+ *                 completed:
+ *                   type: boolean
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Invalid input parameters
+ *       429:
+ *         description: Concurrency limit reached, or the queue is full (see Guardrails)
+ *       500:
+ *         description: Memory leak simulation failed
+ */
+app.post('/memory-leak', async (req, res) => {
+    const { rate, ceiling, duration, shape } = req.body;
+
+    // Validate input
+    if (rate === undefined) {
+        return res.status(400).json({
+            error: 'Missing required parameter: rate (MB per minute) is required',
+            example: {
+                rate: 50,
+                ceiling: 1024
+            }
+        });
+    }
+
+    if (typeof rate !== 'number' || rate <= 0) {
+        return res.status(400).json({
+            error: 'rate must be a positive number (MB per minute)'
+        });
+    }
+
+    if (ceiling !== undefined && (typeof ceiling !== 'number' || ceiling <= 0)) {
+        return res.status(400).json({
+            error: 'ceiling must be a positive number (MB) if provided'
+        });
+    }
+
+    if (duration !== undefined && (typeof duration !== 'number' || duration <= 0)) {
+        return res.status(400).json({
+            error: 'duration must be a positive number if provided'
+        });
+    }
+
+    if (shape !== undefined && !LEAK_SHAPES.includes(shape)) {
+        return res.status(400).json({
+            error: `shape must be one of ${LEAK_SHAPES.join(', ')} if provided`
+        });
+    }
+
+    const violation = checkGuardrails('Memory Leak', { durationSeconds: duration || null, memoryMB: ceiling || null });
+    if (violation) {
+        return res.status(violation.status).json(violation.body);
+    }
+
+    const job = startLeakJob(rate, ceiling || null, duration || null, shape || 'array');
+    log('info', `Starting memory leak of ${rate}MB/min${ceiling ? ` up to ${ceiling}MB` : ''} as ${job.parameters.shape}${duration ? ` for ${duration}s` : ' (indefinite)'} (job ${job.id})...`, { jobId: job.id });
+
+    if (duration) {
+        try {
+            const result = await job.promise;
+            log('info', `Memory leak ${job.state} (job ${job.id})`, { jobId: job.id });
+            res.json({ jobId: job.id, ...result });
+        } catch (error) {
+            log('error', 'Error during memory leak simulation:', { jobId: job.id, error });
+            res.status(500).json({
+                error: 'Memory leak simulation failed',
+                message: error.message
+            });
+        }
+    } else {
+        // Without a duration, return immediately (stop via DELETE /jobs/:id)
+        job.promise.catch((error) => log('error', 'Error during memory leak simulation:', { jobId: job.id, error }));
+        res.json({
+            status: 'started',
+            jobId: job.id,
+            type: 'Memory Leak',
+            rate: rate,
+            ceiling: ceiling || null,
+            shape: job.parameters.shape,
+            mode: 'indefinite',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /memory-leak:
+ *   get:
+ *     summary: Start a memory leak simulation (query params)
+ *     description: Grows retained heap at a fixed rate - starts async and returns immediately
+ *     tags:
+ *       - Memory Testing
+ *     parameters:
+ *       - in: query
+ *         name: rate
+ *         required: true
+ *         schema:
+ *           type: number
+ *         description: Growth rate in MB per minute
+ *         example: 50
+ *       - in: query
+ *         name: ceiling
+ *         required: false
+ *         schema:
+ *           type: integer
+ *         description: Optional size in MB at which the leak stops growing
+ *         example: 1024
+ *       - in: query
+ *         name: duration
+ *         required: false
+ *         schema:
+ *           type: integer
+ *         description: Optional total duration in seconds
+ *         example: 1800
+ *       - in: query
+ *         name: shape
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [array, closures, cache, map]
+ *         description: How leaked memory is referenced (default array)
+ *         example: map
+ *     responses:
+ *       200:
+ *         description: Memory leak started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 type:
+ *                   type: string
+ *                 rate:
+ *                   type: number
+ *                 ceiling:
+ *                   type: number
+ *                 duration:
+ *                   type: number
+ *                 shape:
+ *                   type: string
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Invalid input parameters
+ *       429:
+ *         description: Concurrency limit reached, or the queue is full (see Guardrails)
+ */
+app.get('/memory-leak', (req, res) => {
+    const { rate, ceiling, duration, shape } = req.query;
+
+    // Convert to numbers
+    const rateNum = parseFloat(rate);
+    const ceilingNum = ceiling ? parseInt(ceiling, 10) : null;
+    const durationNum = duration ? parseInt(duration, 10) : null;
+
+    // Validate input
+    if (!rate) {
+        return res.status(400).json({
+            error: 'Missing required query parameter: rate (MB per minute) is required',
+            example: '/memory-leak?rate=50&ceiling=1024'
+        });
+    }
+
+    if (isNaN(rateNum) || rateNum <= 0) {
+        return res.status(400).json({
+            error: 'rate must be a positive number (MB per minute)'
+        });
+    }
+
+    if (ceiling && (isNaN(ceilingNum) || ceilingNum <= 0)) {
+        return res.status(400).json({
+            error: 'ceiling must be a positive number (MB) if provided'
+        });
+    }
+
+    if (duration && (isNaN(durationNum) || durationNum <= 0)) {
+        return res.status(400).json({
+            error: 'duration must be a positive number if provided'
+        });
+    }
+
+    if (shape !== undefined && !LEAK_SHAPES.includes(shape)) {
+        return res.status(400).json({
+            error: `shape must be one of ${LEAK_SHAPES.join(', ')} if provided`
+        });
+    }
+
+    const violation = checkGuardrails('Memory Leak', { durationSeconds: durationNum, memoryMB: ceilingNum });
+    if (violation) {
+        return res.status(violation.status).json(violation.body);
+    }
+
+    const job = startLeakJob(rateNum, ceilingNum, durationNum, shape || 'array');
+    log('info', `Starting memory leak of ${rateNum}MB/min${ceilingNum ? ` up to ${ceilingNum}MB` : ''} as ${job.parameters.shape}${durationNum ? ` for ${durationNum}s` : ' (indefinite)'} (job ${job.id})...`, { jobId: job.id });
+
+    // Run async but don't wait for response (track via /jobs for GET)
+    (async () => {
+        try {
+            await job.promise;
+            log('info', `Memory leak ${job.state} (job ${job.id})`, { jobId: job.id });
+        } catch (error) {
+            log('error', 'Error during memory leak simulation:', { jobId: job.id, error });
+        }
+    })();
+
+    res.json({
+        status: 'started',
+        jobId: job.id,
+        type: 'Memory Leak',
+        rate: rateNum,
+        ceiling: ceilingNum,
+        duration: durationNum,
+        shape: job.parameters.shape,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Latency recorder with an exact count, mean and max. Percentiles come from a uniform
+// reservoir sample of at most LATENCY_RESERVOIR_SIZE values, so long runs stay bounded.
+const LATENCY_RESERVOIR_SIZE = 100000;
+
+function createLatencyRecorder() {
+    const samples = [];
+    let count = 0;
+    let totalMs = 0;
+    let maxMs = 0;
+    const round = (ms) => Number(ms.toFixed(3));
+
+    return {
+        record(ms) {
+            count++;
+            totalMs += ms;
+            maxMs = Math.max(maxMs, ms);
+            if (samples.length < LATENCY_RESERVOIR_SIZE) {
+                samples.push(ms);
+            } else {
+                const index = Math.floor(Math.random() * count);
+                if (index < LATENCY_RESERVOIR_SIZE) {
+                    samples[index] = ms;
+                }
+            }
+        },
+        summary() {
+            if (count === 0) {
+                return { count: 0, meanMs: null, p50Ms: null, p90Ms: null, p99Ms: null, maxMs: null };
+            }
+            const sorted = Float64Array.from(samples).sort();
+            const percentile = (p) => round(sorted[Math.min(sorted.length - 1, Math.ceil(p / 100 * sorted.length) - 1)]);
+            return {
+                count: count,
+                meanMs: round(totalMs / count),
+                p50Ms: percentile(50),
+                p90Ms: percentile(90),
+                p99Ms: percentile(99),
+                maxMs: round(maxMs)
+            };
+        }
+    };
+}
+
+// Disk I/O stress - writes and reads one temp file of at most sizeMB in DISK_TEST_DIR
+// (default the OS temp dir) or the requested directory
+const DISK_PATTERNS = ['sequential', 'random'];
+const DISK_OPERATIONS = ['write', 'read', 'mixed'];
+const diskTestDirectory = process.env.DISK_TEST_DIR || os.tmpdir();
+
+// Returns an error message for invalid disk test options, or null when they are valid
+function validateDiskOptions(options) {
+    const { duration, sizeMB, blockSizeKB, pattern, operation, targetMBps, targetIops, fsyncEvery } = options;
+    if (typeof duration !== 'number' || isNaN(duration) || duration <= 0) {
+        return 'duration must be a positive number of seconds';
+    }
+    if (typeof sizeMB !== 'number' || isNaN(sizeMB) || sizeMB <= 0) {
+        return 'sizeMB must be a positive number';
+    }
+    if (!Number.isInteger(blockSizeKB) || blockSizeKB <= 0 || blockSizeKB > 65536) {
+        return 'blockSizeKB must be an integer between 1 and 65536';
+    }
+    if (blockSizeKB > sizeMB * 1024) {
+        return 'blockSizeKB must not be larger than sizeMB';
+    }
+    if (!DISK_PATTERNS.includes(pattern)) {
+        return `pattern must be one of ${DISK_PATTERNS.join(', ')}`;
+    }
+    if (!DISK_OPERATIONS.includes(operation)) {
+        return `operation must be one of ${DISK_OPERATIONS.join(', ')}`;
+    }
+    if (targetMBps !== null && targetIops !== null) {
+        return 'Set either targetMBps or targetIops, not both';
+    }
+    if (targetMBps !== null && (typeof targetMBps !== 'number' || isNaN(targetMBps) || targetMBps <= 0)) {
+        return 'targetMBps must be a positive number if provided';
+    }
+    if (targetIops !== null && (typeof targetIops !== 'number' || isNaN(targetIops) || targetIops <= 0)) {
+        return 'targetIops must be a positive number if provided';
+    }
+    if (!Number.isInteger(fsyncEvery) || fsyncEvery < 0) {
+        return 'fsyncEvery must be a non-negative integer (0 never syncs)';
+    }
+    return null;
+}
+
+// Returns an error message when the test file cannot be written to directory or would not
+// fit in its free space, or null when it can
+async function checkDiskDirectory(directory, sizeMB) {
+    try {
+        await fs.promises.access(directory, fs.constants.W_OK);
+    } catch (error) {
+        return `directory ${directory} is not writable: ${error.code || error.message}`;
+    }
+    if (fs.promises.statfs) {
+        const stats = await fs.promises.statfs(directory);
+        const freeMB = Math.floor(stats.bavail * stats.bsize / 1024 / 1024);
+        if (sizeMB > freeMB) {
+            return `sizeMB of ${sizeMB} exceeds the ${freeMB}MB free in ${directory}`;
+        }
+    }
+    return null;
+}
+
+// Issue block-sized writes and/or reads against one temp file for durationSeconds, paced to
+// targetMBps or targetIops when given and otherwise as fast as the disk allows. Reads need
+// data, so read and mixed tests fill the file before the timed phase starts. The file is
+// removed on completion, cancellation and failure.
+async function diskStress(options, job = null) {
+    const { duration, directory, sizeMB, blockSizeKB, pattern, operation, targetMBps, targetIops, fsyncEvery } = options;
+    const blockSize = blockSizeKB * 1024;
+    const blockCount = Math.floor(sizeMB * 1024 / blockSizeKB);
+    const opsPerSecond = targetIops || (targetMBps ? targetMBps * 1024 / blockSizeKB : null);
+    const filePath = path.join(directory, `loadcontainer-disk-${process.pid}-${randomUUID()}.tmp`);
+    const writeBuffer = randomFillSync(Buffer.alloc(blockSize)); // incompressible data
+    const readBuffer = Buffer.alloc(blockSize);
+    const latency = { write: createLatencyRecorder(), read: createLatencyRecorder(), fsync: createLatencyRecorder() };
+    const jobFields = job ? { jobId: job.id } : {};
+    let cancelled = false;
+    let bytesWritten = 0;
+    let bytesRead = 0;
+    let operations = 0;
+    let writesSinceSync = 0;
+    let prefillSeconds = 0;
+    let startTime = Date.now();
+
+    if (job) {
+        job.stop = () => {
+            cancelled = true;
+        };
+    }
+
+    const sync = async (handle) => {
+        const syncStart = performance.now();
+        await handle.sync();
+        latency.fsync.record(performance.now() - syncStart);
+        writesSinceSync = 0;
+    };
+
+    const handle = await fs.promises.open(filePath, 'w+');
+    try {
+        if (operation !== 'write') {
+            for (let block = 0; block < blockCount && !cancelled; block++) {
+                await handle.write(writeBuffer, 0, blockSize, block * blockSize);
+            }
+            await handle.sync();
+            prefillSeconds = Number(((Date.now() - startTime) / 1000).toFixed(2));
+            log('info', `Disk test filled ${sizeMB}MB in ${prefillSeconds}s, starting ${operation} phase`, jobFields);
+            startTime = Date.now();
+        }
+
+        const endTime = startTime + (duration * 1000);
+        while (!cancelled && Date.now() < endTime) {
+            if (opsPerSecond) {
+                const dueTime = startTime + (operations / opsPerSecond * 1000);
+                if (dueTime > Date.now()) {
+                    await new Promise(resolve => setTimeout(resolve, dueTime - Date.now()));
+                    continue;
+                }
+            }
+
+            const block = pattern === 'random' ? Math.floor(Math.random() * blockCount) : operations % blockCount;
+            const isWrite = operation === 'write' || (operation === 'mixed' && operations % 2 === 0);
+            const operationStart = performance.now();
+            if (isWrite) {
+                await handle.write(writeBuffer, 0, blockSize, block * blockSize);
+                latency.write.record(performance.now() - operationStart);
+                bytesWritten += blockSize;
+                writesSinceSync++;
+                if (fsyncEvery && writesSinceSync >= fsyncEvery) {
+                    await sync(handle);
+                }
+            } else {
+                await handle.read(readBuffer, 0, blockSize, block * blockSize);
+                latency.read.record(performance.now() - operationStart);
+                bytesRead += blockSize;
+            }
+            operations++;
+
+            if (job && operations % 100 === 0) {
+                const elapsedSeconds = (Date.now() - startTime) / 1000;
+                job.target = {
+                    resource: 'disk_mbps',
+                    configured: targetMBps ? { target: targetMBps } : {},
+                    achieved: Number(((bytesWritten + bytesRead) / 1024 / 1024 / elapsedSeconds).toFixed(2))
+                };
+            }
+        }
+        if (fsyncEvery && writesSinceSync > 0 && !cancelled) {
+            await sync(handle);
+        }
+    } finally {
+        await handle.close();
+        await fs.promises.rm(filePath, { force: true });
+    }
+
+    const elapsedSeconds = Math.max((Date.now() - startTime) / 1000, 0.001);
+    const mbps = (bytes) => Number((bytes / 1024 / 1024 / elapsedSeconds).toFixed(2));
+    return {
+        type: 'Disk',
+        duration: duration,
+        directory: directory,
+        sizeMB: sizeMB,
+        blockSizeKB: blockSizeKB,
+        pattern: pattern,
+        operation: operation,
+        targetMBps: targetMBps,
+        targetIops: targetIops,
+        fsyncEvery: fsyncEvery,
+        prefillSeconds: prefillSeconds,
+        elapsedSeconds: Number(elapsedSeconds.toFixed(2)),
+        operations: operations,
+        iops: Number((operations / elapsedSeconds).toFixed(1)),
+        writtenMB: Number((bytesWritten / 1024 / 1024).toFixed(2)),
+        readMB: Number((bytesRead / 1024 / 1024).toFixed(2)),
+        writeMBps: mbps(bytesWritten),
+        readMBps: mbps(bytesRead),
+        totalMBps: mbps(bytesWritten + bytesRead),
+        latency: {
+            write: latency.write.summary(),
+            read: latency.read.summary(),
+            fsync: latency.fsync.summary()
+        },
+        completed: !cancelled,
+        cancelled: cancelled,
+        timestamp: new Date().toISOString()
+    };
+}
+
+function startDiskJob(options) {
+    return startJob('Disk', options, options.duration, (job) => diskStress(options, job));
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DiskLatency:
+ *       type: object
+ *       properties:
+ *         count:
+ *           type: integer
+ *         meanMs:
+ *           type: number
+ *         p50Ms:
+ *           type: number
+ *         p90Ms:
+ *           type: number
+ *         p99Ms:
+ *           type: number
+ *         maxMs:
+ *           type: number
+ *     DiskResult:
+ *       type: object
+ *       properties:
+ *         jobId:
+ *           type: string
+ *         type:
+ *           type: string
+ *         directory:
+ *           type: string
+ *         sizeMB:
+ *           type: number
+ *         blockSizeKB:
+ *           type: integer
+ *         pattern:
+ *           type: string
+ *         operation:
+ *           type: string
+ *         prefillSeconds:
+ *           type: number
+ *           description: Time spent filling the file before a read or mixed test (not part of the measured rates)
+ *         elapsedSeconds:
+ *           type: number
+ *         operations:
+ *           type: integer
+ *         iops:
+ *           type: number
+ *         writtenMB:
+ *           type: number
+ *         readMB:
+ *           type: number
+ *         writeMBps:
+ *           type: number
+ *         readMBps:
+ *           type: number
+ *         totalMBps:
+ *           type: number
+ *         latency:
+ *           type: object
+ *           properties:
+ *             write:
+ *               $ref: '#/components/schemas/DiskLatency'
+ *             read:
+ *               $ref: '#/components/schemas/DiskLatency'
+ *             fsync:
+ *               $ref: '#/components/schemas/DiskLatency'
+ *         completed:
+ *           type: boolean
+ *         cancelled:
+ *           type: boolean
+ *         timestamp:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /disk:
+ *   post:
+ *     summary: Run a disk I/O stress test
+ *     description: Writes and/or reads block-sized chunks of one temp file of at most sizeMB in the test directory, paced to targetMBps or targetIops when given and otherwise as fast as the disk allows. Read and mixed tests fill the file first. The file is deleted when the test completes, is cancelled or fails. Waits for completion and reports achieved throughput and latency percentiles. Reads of a recently written file are usually served from the page cache.
+ *     tags:
+ *       - Disk Testing
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - duration
+ *             properties:
+ *               duration:
+ *                 type: number
+ *                 description: Duration of the test in seconds
+ *                 example: 30
+ *               directory:
+ *                 type: string
+ *                 description: Directory for the temp file (default DISK_TEST_DIR or the OS temp dir)
+ *                 example: /data
+ *               sizeMB:
+ *                 type: number
+ *                 description: Size cap of the temp file in MB (default 100)
+ *                 example: 512
+ *               blockSizeKB:
+ *                 type: integer
+ *                 description: Size of each write or read in KB (default 64)
+ *                 example: 4
+ *               pattern:
+ *                 type: string
+ *                 enum: [sequential, random]
+ *                 description: Access pattern across the file (default sequential)
+ *               operation:
+ *                 type: string
+ *                 enum: [write, read, mixed]
+ *                 description: Write only (default), read only, or alternate writes and reads
+ *               targetMBps:
+ *                 type: number
+ *                 description: Optional throughput to hold in MB/s
+ *               targetIops:
+ *                 type: number
+ *                 description: Optional operations per second to hold (instead of targetMBps)
+ *                 example: 500
+ *               fsyncEvery:
+ *                 type: integer
+ *                 description: fsync after this many writes (default 0, never)
+ *                 example: 16
+ *     responses:
+ *       200:
+ *         description: Disk test completed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DiskResult'
+ *       400:
+ *         description: Invalid input parameters, or the directory is not writable or too small
+ *       429:
+ *         description: Concurrency limit reached, or the queue is full (see Guardrails)
+ *       500:
+ *         description: Disk test failed
+ */
+app.post('/disk', async (req, res) => {
+    const body = req.body;
+
+    if (body.duration === undefined) {
+        return res.status(400).json({
+            error: 'Missing required parameter: duration (seconds) is required',
+            example: {
+                duration: 30,
+                sizeMB: 512,
+                blockSizeKB: 4,
+                pattern: 'random',
+                targetIops: 500
+            }
+        });
+    }
+
+    const options = {
+        duration: body.duration,
+        directory: body.directory || diskTestDirectory,
+        sizeMB: body.sizeMB !== undefined ? body.sizeMB : 100,
+        blockSizeKB: body.blockSizeKB !== undefined ? body.blockSizeKB : 64,
+        pattern: body.pattern || 'sequential',
+        operation: body.operation || 'write',
+        targetMBps: body.targetMBps !== undefined ? body.targetMBps : null,
+        targetIops: body.targetIops !== undefined ? body.targetIops : null,
+        fsyncEvery: body.fsyncEvery !== undefined ? body.fsyncEvery : 0
+    };
+    const error = validateDiskOptions(options) || await checkDiskDirectory(options.directory, options.sizeMB);
+    if (error) {
+        return res.status(400).json({ error: error });
+    }
+
+    const violation = checkGuardrails('Disk', { durationSeconds: options.duration });
+    if (violation) {
+        return res.status(violation.status).json(violation.body);
+    }
+
+    const job = startDiskJob(options);
+    log('info', `Starting ${options.pattern} ${options.operation} disk test of ${options.blockSizeKB}KB blocks over ${options.sizeMB}MB in ${options.directory} for ${options.duration}s (job ${job.id})...`, { jobId: job.id });
+
+    try {
+        const result = await job.promise;
+        log('info', `Disk test ${job.state} at ${result.totalMBps}MB/s, ${result.iops} IOPS (job ${job.id})`, { jobId: job.id });
+        res.json({ jobId: job.id, ...result });
+    } catch (error) {
+        log('error', 'Error during disk test:', { jobId: job.id, error });
+        res.status(500).json({
+            error: 'Disk test failed',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /disk:
+ *   get:
+ *     summary: Run a disk I/O stress test (query params)
+ *     description: Takes the same parameters as POST /disk - starts async and returns immediately (track via /jobs)
+ *     tags:
+ *       - Disk Testing
+ *     parameters:
+ *       - in: query
+ *         name: duration
+ *         required: true
+ *         schema:
+ *           type: number
+ *         description: Duration of the test in seconds
+ *         example: 30
+ *       - in: query
+ *         name: directory
+ *         schema:
+ *           type: string
+ *         description: Directory for the temp file (default DISK_TEST_DIR or the OS temp dir)
+ *       - in: query
+ *         name: sizeMB
+ *         schema:
+ *           type: number
+ *         description: Size cap of the temp file in MB (default 100)
+ *       - in: query
+ *         name: blockSizeKB
+ *         schema:
+ *           type: integer
+ *         description: Size of each write or read in KB (default 64)
+ *       - in: query
+ *         name: pattern
+ *         schema:
+ *           type: string
+ *           enum: [sequential, random]
+ *         description: Access pattern (default sequential)
+ *       - in: query
+ *         name: operation
+ *         schema:
+ *           type: string
+ *           enum: [write, read, mixed]
+ *         description: Operations to issue (default write)
+ *       - in: query
+ *         name: targetMBps
+ *         schema:
+ *           type: number
+ *         description: Optional throughput to hold in MB/s
+ *       - in: query
+ *         name: targetIops
+ *         schema:
+ *           type: number
+ *         description: Optional operations per second to hold
+ *       - in: query
+ *         name: fsyncEvery
+ *         schema:
+ *           type: integer
+ *         description: fsync after this many writes (default 0, never)
+ *     responses:
+ *       200:
+ *         description: Disk test started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 jobId:
+ *                   type: string
+ *                 type:
+ *                   type: string
+ *                 parameters:
+ *                   type: object
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Invalid input parameters, or the directory is not writable or too small
+ *       429:
+ *         description: Concurrency limit reached, or the queue is full (see Guardrails)
+ */
+app.get('/disk', async (req, res) => {
+    const query = req.query;
+
+    if (!query.duration) {
+        return res.status(400).json({
+            error: 'Missing required query parameter: duration (seconds) is required',
+            example: '/disk?duration=30&sizeMB=512&blockSizeKB=4&pattern=random'
+        });
+    }
+
+    const options = {
+        duration: parseFloat(query.duration),
+        directory: query.directory || diskTestDirectory,
+        sizeMB: query.sizeMB ? parseFloat(query.sizeMB) : 100,
+        blockSizeKB: query.blockSizeKB ? Number(query.blockSizeKB) : 64,
+        pattern: query.pattern || 'sequential',
+        operation: query.operation || 'write',
+        targetMBps: query.targetMBps ? parseFloat(query.targetMBps) : null,
+        targetIops: query.targetIops ? parseFloat(query.targetIops) : null,
+        fsyncEvery: query.fsyncEvery ? Number(query.fsyncEvery) : 0
+    };
+    const error = validateDiskOptions(options) || await checkDiskDirectory(options.directory, options.sizeMB);
+    if (error) {
+        return res.status(400).json({ error: error });
+    }
+
+    const violation = checkGuardrails('Disk', { durationSeconds: options.duration });
+    if (violation) {
+        return res.status(violation.status).json(violation.body);
+    }
+
+    const job = startDiskJob(options);
+    log('info', `Starting ${options.pattern} ${options.operation} disk test of ${options.blockSizeKB}KB blocks over ${options.sizeMB}MB in ${options.directory} for ${options.duration}s (job ${job.id})...`, { jobId: job.id });
+
+    // Run async but don't wait for response (track via /jobs for GET)
+    (async () => {
+        try {
+            const result = await job.promise;
+            log('info', `Disk test ${job.state} at ${result.totalMBps}MB/s, ${result.iops} IOPS (job ${job.id})`, { jobId: job.id });
+        } catch (error) {
+            log('error', 'Error during disk test:', { jobId: job.id, error });
+        }
+    })();
+
+    res.json({
+        status: 'started',
+        jobId: job.id,
+        type: 'Disk',
+        parameters: options,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// HTTP load generator - sends requests to a target URL at a fixed rate (open loop) or from
+// a fixed number of concurrent workers that each wait for their last response (closed loop)
+const HTTP_LOAD_METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE'];
+const HTTP_LOAD_MAX_CONCURRENCY = 1000;
+const HTTP_LOAD_MAX_RATE = 10000; // requests per second
+
+// Returns an error message for invalid HTTP load options, or null when they are valid
+function validateHttpLoadOptions(options) {
+    const { url, duration, rate, concurrency, method, headers, timeoutMs } = options;
+    let target;
+    try {
+        target = new URL(url);
+    } catch (error) {
+        return 'url must be an absolute http or https URL';
+    }
+    if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+        return 'url must be an absolute http or https URL';
+    }
+    if (typeof duration !== 'number' || isNaN(duration) || duration <= 0) {
+        return 'duration must be a positive number of seconds';
+    }
+    if (rate !== null && (typeof rate !== 'number' || isNaN(rate) || rate <= 0 || rate > HTTP_LOAD_MAX_RATE)) {
+        return `rate must be a positive number of at most ${HTTP_LOAD_MAX_RATE} requests per second if provided`;
+    }
+    if (!Number.isInteger(concurrency) || concurrency <= 0 || concurrency > HTTP_LOAD_MAX_CONCURRENCY) {
+        return `concurrency must be an integer between 1 and ${HTTP_LOAD_MAX_CONCURRENCY}`;
+    }
+    if (!HTTP_LOAD_METHODS.includes(method)) {
+        return `method must be one of ${HTTP_LOAD_METHODS.join(', ')}`;
+    }
+    if (headers !== null && (typeof headers !== 'object' || Array.isArray(headers))) {
+        return 'headers must be an object of header names and values if provided';
+    }
+    for (const [name, value] of Object.entries(headers || {})) {
+        try {
+            http.validateHeaderName(name);
+            http.validateHeaderValue(name, value);
+        } catch (error) {
+            return `invalid header ${JSON.stringify(name)}: ${error.message}`;
+        }
+    }
+    if (typeof timeoutMs !== 'number' || isNaN(timeoutMs) || timeoutMs <= 0) {
+        return 'timeoutMs must be a positive number';
+    }
+    return null;
+}
+
+// Send requests for durationSeconds and report latency percentiles, status code counts and
+// errors by code. With a rate, requests go out on schedule and at most concurrency are in
+// flight; requests due while at that cap are counted as dropped. Without a rate, concurrency
+// workers send back to back. In-flight requests are awaited (up to timeoutMs) at the end,
+// and aborted on cancellation.
+async function httpLoad(options, job = null) {
+    const { url, duration, rate, concurrency, method, headers, body, timeoutMs } = options;
+    const target = new URL(url);
+    const transport = target.protocol === 'https:' ? https : http;
+    const agent = new transport.Agent({ keepAlive: true, maxSockets: concurrency });
+    const payload = body === null ? null : Buffer.from(typeof body === 'string' ? body : JSON.stringify(body));
+    const requestHeaders = { ...headers };
+    if (payload) {
+        if (typeof body !== 'string' && !Object.keys(requestHeaders).some(name => name.toLowerCase() === 'content-type')) {
+            requestHeaders['Content-Type'] = 'application/json';
+        }
+        requestHeaders['Content-Length'] = payload.length;
+    }
+
+    const latency = createLatencyRecorder();
+    const statusCodes = {};
+    const errors = {};
+    const pending = new Set();
+    const startTime = Date.now();
+    const endTime = startTime + (duration * 1000);
+    let cancelled = false;
+    let sent = 0;
+    let completed = 0;
+    let failed = 0;
+    let dropped = 0;
+    let bytesReceived = 0;
+
+    if (job) {
+        job.stop = () => {
+            cancelled = true;
+            agent.destroy();
+        };
+    }
+
+    const send = () => {
+        sent++;
+        const requestStart = performance.now();
+        const promise = new Promise((resolve) => {
+            let settled = false;
+            let timer = null;
+            const settle = (error, statusCode) => {
+                if (settled) {
+                    return;
+                }
+                settled = true;
+                clearTimeout(timer);
+                if (error) {
+                    // Requests aborted by a cancellation are not errors of the target
+                    if (!cancelled) {
+                        const code = error.code || error.message;
+                        errors[code] = (errors[code] || 0) + 1;
+                        failed++;
+                    }
+                } else {
+                    latency.record(performance.now() - requestStart);
+                    statusCodes[statusCode] = (statusCodes[statusCode] || 0) + 1;
+                    completed++;
+                }
+                resolve();
+            };
+
+            let request;
+            try {
+                request = transport.request(target, { method, headers: requestHeaders, agent }, (response) => {
+                    response.on('data', (chunk) => {
+                        bytesReceived += chunk.length;
+                    });
+                    response.on('end', () => settle(null, response.statusCode));
+                    response.on('error', settle);
+                    response.on('aborted', () => settle(Object.assign(new Error('Response aborted'), { code: 'ECONNRESET' })));
+                });
+            } catch (error) {
+                // e.g. a header the validation let through; counted like any request error
+                return settle(error);
+            }
+            timer = setTimeout(() => {
+                request.destroy(Object.assign(new Error(`No response within ${timeoutMs}ms`), { code: 'ETIMEDOUT' }));
+            }, timeoutMs);
+            request.on('error', settle);
+            request.end(payload);
+        });
+        pending.add(promise);
+        promise.then(() => pending.delete(promise));
+        return promise;
+    };
+
+    const statusInterval = setInterval(() => {
+        if (job) {
+            job.target = {
+                resource: 'requests_per_second',
+                configured: rate ? { target: rate } : {},
+                achieved: Number((completed / ((Date.now() - startTime) / 1000)).toFixed(1))
+            };
+        }
+    }, 1000);
+
+    try {
+        if (rate) {
+            await new Promise((resolve) => {
+                const interval = setInterval(() => {
+                    if (cancelled || Date.now() >= endTime) {
+                        clearInterval(interval);
+                        return resolve();
+                    }
+                    const due = Math.floor((Date.now() - startTime) / 1000 * rate) - sent - dropped;
+                    const sendable = Math.max(0, Math.min(due, concurrency - pending.size));
+                    for (let i = 0; i < sendable; i++) {
+                        send();
+                    }
+                    dropped += Math.max(0, due - sendable);
+                }, 10);
+            });
+        } else {
+            const worker = async () => {
+                while (!cancelled && Date.now() < endTime) {
+                    await send();
+                }
+            };
+            await Promise.all(Array.from({ length: concurrency }, worker));
+        }
+        await Promise.all(pending);
+    } finally {
+        clearInterval(statusInterval);
+        agent.destroy();
+    }
+
+    const elapsedSeconds = Math.max((Date.now() - startTime) / 1000, 0.001);
+    return {
+        type: 'HTTP Load',
+        url: url,
+        method: method,
+        duration: duration,
+        rate: rate,
+        concurrency: concurrency,
+        elapsedSeconds: Number(elapsedSeconds.toFixed(2)),
+        requests: sent,
+        completedRequests: completed,
+        failedRequests: failed,
+        droppedRequests: dropped,
+        requestsPerSecond: Number((completed / elapsedSeconds).toFixed(1)),
+        receivedMB: Number((bytesReceived / 1024 / 1024).toFixed(2)),
+        latency: latency.summary(),
+        statusCodes: statusCodes,
+        errors: errors,
+        completed: !cancelled,
+        cancelled: cancelled,
+        timestamp: new Date().toISOString()
+    };
+}
+
+function startHttpLoadJob(options) {
+    const { headers, body, ...parameters } = options; // headers may carry credentials of the target
+    return startJob('HTTP Load', parameters, options.duration, (job) => httpLoad(options, job));
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     HttpLoadResult:
+ *       type: object
+ *       properties:
+ *         jobId:
+ *           type: string
+ *         type:
+ *           type: string
+ *         url:
+ *           type: string
+ *         method:
+ *           type: string
+ *         rate:
+ *           type: number
+ *         concurrency:
+ *           type: integer
+ *         elapsedSeconds:
+ *           type: number
+ *         requests:
+ *           type: integer
+ *           description: Requests sent
+ *         completedRequests:
+ *           type: integer
+ *           description: Requests answered with any status code
+ *         failedRequests:
+ *           type: integer
+ *           description: Requests that ended in a connection error or timeout
+ *         droppedRequests:
+ *           type: integer
+ *           description: Requests due at the rate that were not sent because concurrency requests were already in flight
+ *         requestsPerSecond:
+ *           type: number
+ *           description: Completed requests per second
+ *         receivedMB:
+ *           type: number
+ *         latency:
+ *           type: object
+ *           description: Latency of completed requests
+ *           properties:
+ *             count:
+ *               type: integer
+ *             meanMs:
+ *               type: number
+ *             p50Ms:
+ *               type: number
+ *             p90Ms:
+ *               type: number
+ *             p99Ms:
+ *               type: number
+ *             maxMs:
+ *               type: number
+ *         statusCodes:
+ *           type: object
+ *           description: Completed requests by status code
+ *           example: { "200": 2990, "503": 10 }
+ *         errors:
+ *           type: object
+ *           description: Failed requests by error code
+ *           example: { "ECONNREFUSED": 3, "ETIMEDOUT": 1 }
+ *         completed:
+ *           type: boolean
+ *         cancelled:
+ *           type: boolean
+ *         timestamp:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /http-load:
+ *   post:
+ *     summary: Generate HTTP load against a target URL
+ *     description: Sends requests to url for duration seconds, either at a fixed rate (with at most concurrency in flight) or from concurrency workers sending back to back. Waits for completion and reports latency percentiles, status code counts and errors.
+ *     tags:
+ *       - Network Testing
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - url
+ *               - duration
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 description: http or https URL to send requests to
+ *                 example: http://loadcontainer-service/health
+ *               duration:
+ *                 type: number
+ *                 description: Duration of the test in seconds
+ *                 example: 60
+ *               rate:
+ *                 type: number
+ *                 description: Requests per second to send (at most 10000; if not specified, workers send back to back)
+ *                 example: 200
+ *               concurrency:
+ *                 type: integer
+ *                 description: Number of workers, or the in-flight cap with a rate (default 10, at most 1000)
+ *                 example: 50
+ *               method:
+ *                 type: string
+ *                 enum: [GET, HEAD, POST, PUT, PATCH, DELETE]
+ *                 description: HTTP method (default GET)
+ *               headers:
+ *                 type: object
+ *                 description: Request headers, e.g. an Authorization header for a target that requires API keys
+ *               body:
+ *                 description: Request body, sent as JSON unless it is a string
+ *               timeoutMs:
+ *                 type: number
+ *                 description: Time allowed for each response in ms (default 10000)
+ *     responses:
+ *       200:
+ *         description: Load test completed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/HttpLoadResult'
+ *       400:
+ *         description: Invalid input parameters
+ *       429:
+ *         description: Concurrency limit reached, or the queue is full (see Guardrails)
+ *       500:
+ *         description: Load test failed
+ */
+app.post('/http-load', async (req, res) => {
+    const body = req.body;
+
+    if (body.url === undefined || body.duration === undefined) {
+        return res.status(400).json({
+            error: 'Missing required parameters: url and duration (seconds) are required',
+            example: {
+                url: 'http://loadcontainer-service/health',
+                duration: 60,
+                rate: 200
+            }
+        });
+    }
+
+    const options = {
+        url: body.url,
+        duration: body.duration,
+        rate: body.rate !== undefined ? body.rate : null,
+        concurrency: body.concurrency !== undefined ? body.concurrency : 10,
+        method: (body.method || 'GET').toUpperCase(),
+        headers: body.headers !== undefined ? body.headers : null,
+        body: body.body !== undefined ? body.body : null,
+        timeoutMs: body.timeoutMs !== undefined ? body.timeoutMs : 10000
+    };
+    const error = validateHttpLoadOptions(options);
+    if (error) {
+        return res.status(400).json({ error: error });
+    }
+
+    const violation = checkGuardrails('HTTP Load', { durationSeconds: options.duration });
+    if (violation) {
+        return res.status(violation.status).json(violation.body);
+    }
+
+    const job = startHttpLoadJob(options);
+    log('info', `Starting HTTP load of ${options.method} ${options.url} ${options.rate ? `at ${options.rate} req/s` : `from ${options.concurrency} workers`} for ${options.duration}s (job ${job.id})...`, { jobId: job.id });
+
+    try {
+        const result = await job.promise;
+        log('info', `HTTP load ${job.state} at ${result.requestsPerSecond} req/s${result.latency.p99Ms !== null ? `, p99 ${result.latency.p99Ms}ms` : ''}, ${result.failedRequests} errors (job ${job.id})`, { jobId: job.id });
+        res.json({ jobId: job.id, ...result });
+    } catch (error) {
+        log('error', 'Error during HTTP load test:', { jobId: job.id, error });
+        res.status(500).json({
+            error: 'HTTP load test failed',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /http-load:
+ *   get:
+ *     summary: Generate HTTP load against a target URL (query params)
+ *     description: Takes the same parameters as POST /http-load except headers and body - starts async and returns immediately (track via /jobs)
+ *     tags:
+ *       - Network Testing
+ *     parameters:
+ *       - in: query
+ *         name: url
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: http or https URL to send requests to
+ *         example: http://localhost:3000/health
+ *       - in: query
+ *         name: duration
+ *         required: true
+ *         schema:
+ *           type: number
+ *         description: Duration of the test in seconds
+ *         example: 60
+ *       - in: query
+ *         name: rate
+ *         schema:
+ *           type: number
+ *         description: Requests per second to send (at most 10000)
+ *       - in: query
+ *         name: concurrency
+ *         schema:
+ *           type: integer
+ *         description: Number of workers, or the in-flight cap with a rate (default 10)
+ *       - in: query
+ *         name: method
+ *         schema:
+ *           type: string
+ *           enum: [GET, HEAD, POST, PUT, PATCH, DELETE]
+ *         description: HTTP method (default GET)
+ *       - in: query
+ *         name: timeoutMs
+ *         schema:
+ *           type: number
+ *         description: Time allowed for each response in ms (default 10000)
+ *     responses:
+ *       200:
+ *         description: Load test started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 jobId:
+ *                   type: string
+ *                 type:
+ *                   type: string
+ *                 parameters:
+ *                   type: object
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Invalid input parameters
+ *       429:
+ *         description: Concurrency limit reached, or the queue is full (see Guardrails)
+ */
+app.get('/http-load', (req, res) => {
+    const query = req.query;
+
+    if (!query.url || !query.duration) {
+        return res.status(400).json({
+            error: 'Missing required query parameters: url and duration (seconds) are required',
+            example: '/http-load?url=http://localhost:3000/health&duration=60&rate=200'
+        });
+    }
+
+    const options = {
+        url: query.url,
+        duration: parseFloat(query.duration),
+        rate: query.rate ? parseFloat(query.rate) : null,
+        concurrency: query.concurrency ? Number(query.concurrency) : 10,
+        method: (query.method || 'GET').toUpperCase(),
+        headers: null,
+        body: null,
+        timeoutMs: query.timeoutMs ? parseFloat(query.timeoutMs) : 10000
+    };
+    const error = validateHttpLoadOptions(options);
+    if (error) {
+        return res.status(400).json({ error: error });
+    }
+
+    const violation = checkGuardrails('HTTP Load', { durationSeconds: options.duration });
+    if (violation) {
+        return res.status(violation.status).json(violation.body);
+    }
+
+    const job = startHttpLoadJob(options);
+    log('info', `Starting HTTP load of ${options.method} ${options.url} ${options.rate ? `at ${options.rate} req/s` : `from ${options.concurrency} workers`} for ${options.duration}s (job ${job.id})...`, { jobId: job.id });
+
+    // Run async but don't wait for response (track via /jobs for GET)
+    (async () => {
+        try {
+            const result = await job.promise;
+            log('info', `HTTP load ${job.state} at ${result.requestsPerSecond} req/s${result.latency.p99Ms !== null ? `, p99 ${result.latency.p99Ms}ms` : ''}, ${result.failedRequests} errors (job ${job.id})`, { jobId: job.id });
+        } catch (error) {
+            log('error', 'Error during HTTP load test:', { jobId: job.id, error });
+        }
+    })();
+
+    res.json({
+        status: 'started',
+        jobId: job.id,
+        type: 'HTTP Load',
+        parameters: job.parameters,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Network bandwidth - downloads stream generated data and uploads are read and discarded,
+// both without buffering the payload in memory
+const BANDWIDTH_CHUNK_KB = 64;
+const bandwidthChunk = randomFillSync(Buffer.alloc(BANDWIDTH_CHUNK_KB * 1024)); // incompressible
+
+function bandwidthResult(direction, transferredBytes, startTime, extra, cancelled) {
+    const elapsedSeconds = Math.max((Date.now() - startTime) / 1000, 0.001);
+    return {
+        type: 'Bandwidth',
+        direction: direction,
+        ...extra,
+        transferredMB: Number((transferredBytes / 1024 / 1024).toFixed(2)),
+        elapsedSeconds: Number(elapsedSeconds.toFixed(2)),
+        throughputMBps: Number((transferredBytes / 1024 / 1024 / elapsedSeconds).toFixed(2)),
+        throughputMbps: Number((transferredBytes * 8 / 1000 / 1000 / elapsedSeconds).toFixed(2)),
+        completed: !cancelled,
+        cancelled: cancelled,
+        timestamp: new Date().toISOString()
+    };
+}
+
+// Stream sizeMB of data to the response, paced to rateMBps when given and otherwise as fast
+// as the client reads. Cancelling the job ends the stream early; the client disconnecting
+// first fails the job.
+function streamDownload(res, sizeMB, rateMBps = null, job = null) {
+    const totalBytes = Math.round(sizeMB * 1024 * 1024);
+    const startTime = Date.now();
+    let sentBytes = 0;
+    let timer = null;
+    let finished = false;
+
+    return new Promise((resolve, reject) => {
+        const finish = (cancelled) => {
+            if (finished) {
+                return;
+            }
+            finished = true;
+            clearTimeout(timer);
+            resolve(bandwidthResult('download', sentBytes, startTime, { sizeMB, rateMBps }, cancelled));
+        };
+
+        const write = () => {
+            while (!finished && sentBytes < totalBytes) {
+                if (rateMBps) {
+                    const dueTime = startTime + (sentBytes / 1024 / 1024 / rateMBps * 1000);
+                    if (dueTime > Date.now()) {
+                        timer = setTimeout(write, dueTime - Date.now());
+                        return;
+                    }
+                }
+                const chunk = bandwidthChunk.subarray(0, Math.min(bandwidthChunk.length, totalBytes - sentBytes));
+                sentBytes += chunk.length;
+                if (job) {
+                    job.target = {
+                        resource: 'bandwidth_mbps',
+                        configured: rateMBps ? { target: rateMBps } : {},
+                        achieved: Number((sentBytes / 1024 / 1024 / Math.max((Date.now() - startTime) / 1000, 0.001)).toFixed(2))
+                    };
+                }
+                if (!res.write(chunk)) {
+                    // Wait for the client to catch up
+                    res.once('drain', write);
+                    return;
+                }
+            }
+            if (!finished) {
+                res.end();
+            }
+        };
+
+        res.on('finish', () => finish(false));
+        res.on('close', () => {
+            if (!finished && !res.writableFinished) {
+                finished = true;
+                clearTimeout(timer);
+                reject(new Error(`Download aborted by the client after ${sentBytes} bytes`));
+            }
+        });
+        if (job) {
+            job.stop = () => {
+                finish(true);
+                res.destroy();
+            };
+        }
+        write();
+    });
+}
+
+// Read and discard the request body, counting its bytes. Cancelling the job stops counting
+// and resolves at once; the rest of the body is still drained so the client gets an answer.
+function receiveUpload(req, job = null) {
+    const startTime = Date.now();
+    let receivedBytes = 0;
+
+    return new Promise((resolve, reject) => {
+        const extra = () => ({ contentType: req.get('Content-Type') || null });
+        const onData = (chunk) => {
+            receivedBytes += chunk.length;
+            if (job) {
+                job.target = {
+                    resource: 'bandwidth_mbps',
+                    configured: {},
+                    achieved: Number((receivedBytes / 1024 / 1024 / Math.max((Date.now() - startTime) / 1000, 0.001)).toFixed(2))
+                };
+            }
+        };
+        req.on('data', onData);
+        req.on('end', () => resolve(bandwidthResult('upload', receivedBytes, startTime, extra(), false)));
+        req.on('error', reject);
+        req.on('close', () => {
+            if (!req.complete) {
+                reject(new Error(`Upload aborted by the client after ${receivedBytes} bytes`));
+            }
+        });
+        if (job) {
+            job.stop = () => {
+                req.off('data', onData);
+                req.resume();
+                resolve(bandwidthResult('upload', receivedBytes, startTime, extra(), true));
+            };
+        }
+    });
+}
+
+// Transfers cannot wait in the job queue while their client connection is open, so at the
+// concurrency limit they are rejected even when CONCURRENCY_LIMIT_ACTION=queue
+function checkBandwidthGuardrails(durationSeconds) {
+    const limit = concurrencyLimit('Bandwidth');
+    const running = runningJobCount('Bandwidth');
+    if (running >= limit) {
+        return {
+            status: 429,
+            body: { error: `Too many running Bandwidth jobs: ${running} of ${limit} allowed (MAX_CONCURRENT_JOBS)`, limit: 'maxConcurrentJobs', maximum: limit }
+        };
+    }
+    return checkGuardrails('Bandwidth', { durationSeconds });
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BandwidthResult:
+ *       type: object
+ *       properties:
+ *         jobId:
+ *           type: string
+ *         type:
+ *           type: string
+ *         direction:
+ *           type: string
+ *           enum: [download, upload]
+ *         transferredMB:
+ *           type: number
+ *         elapsedSeconds:
+ *           type: number
+ *         throughputMBps:
+ *           type: number
+ *           description: Throughput in megabytes per second
+ *         throughputMbps:
+ *           type: number
+ *           description: Throughput in megabits per second
+ *         completed:
+ *           type: boolean
+ *         cancelled:
+ *           type: boolean
+ *         timestamp:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /bandwidth/download:
+ *   get:
+ *     summary: Download a generated payload
+ *     description: Streams sizeMB of incompressible data as application/octet-stream, optionally throttled to rateMBps. The X-Job-Id response header names the job, whose result in GET /jobs/{id} reports the achieved throughput once the download ends.
+ *     tags:
+ *       - Network Testing
+ *     parameters:
+ *       - in: query
+ *         name: sizeMB
+ *         required: true
+ *         schema:
+ *           type: number
+ *         description: Size of the payload in MB
+ *         example: 100
+ *       - in: query
+ *         name: rateMBps
+ *         required: false
+ *         schema:
+ *           type: number
+ *         description: Optional throttle in MB per second
+ *         example: 10
+ *     responses:
+ *       200:
+ *         description: The payload
+ *         headers:
+ *           X-Job-Id:
+ *             schema:
+ *               type: string
+ *             description: Job tracking the download
+ *         content:
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid input parameters
+ *       429:
+ *         description: Concurrency limit reached, or the queue is full (see Guardrails)
+ */
+app.get('/bandwidth/download', (req, res) => {
+    const { sizeMB, rateMBps } = req.query;
+
+    // Convert to numbers
+    const sizeNum = parseFloat(sizeMB);
+    const rateNum = rateMBps ? parseFloat(rateMBps) : null;
+
+    // Validate input
+    if (!sizeMB) {
+        return res.status(400).json({
+            error: 'Missing required query parameter: sizeMB is required',
+            example: '/bandwidth/download?sizeMB=100&rateMBps=10'
+        });
+    }
+
+    if (isNaN(sizeNum) || sizeNum <= 0) {
+        return res.status(400).json({
+            error: 'sizeMB must be a positive number'
+        });
+    }
+
+    if (rateMBps && (isNaN(rateNum) || rateNum <= 0)) {
+        return res.status(400).json({
+            error: 'rateMBps must be a positive number if provided'
+        });
+    }
+
+    const durationSeconds = rateNum ? sizeNum / rateNum : undefined;
+    const violation = checkBandwidthGuardrails(durationSeconds);
+    if (violation) {
+        return res.status(violation.status).json(violation.body);
+    }
+
+    const job = startJob('Bandwidth', { direction: 'download', sizeMB: sizeNum, rateMBps: rateNum }, durationSeconds || null, (job) => {
+        res.set({
+            'Content-Type': 'application/octet-stream',
+            'Content-Length': String(Math.round(sizeNum * 1024 * 1024)),
+            'Content-Disposition': `attachment; filename="loadcontainer-${sizeNum}MB.bin"`,
+            'X-Job-Id': job.id
+        });
+        return streamDownload(res, sizeNum, rateNum, job);
+    });
+    log('info', `Starting download of ${sizeNum}MB${rateNum ? ` at ${rateNum}MB/s` : ''} (job ${job.id})...`, { jobId: job.id });
+
+    (async () => {
+        try {
+            const result = await job.promise;
+            log('info', `Download ${job.state}: ${result.transferredMB}MB at ${result.throughputMBps}MB/s (job ${job.id})`, { jobId: job.id });
+        } catch (error) {
+            // The only failure is the client going away, which is not a server error
+            log('warn', `Download failed: ${error.message} (job ${job.id})`, { jobId: job.id });
+        }
+    })();
+});
+
+/**
+ * @swagger
+ * /bandwidth/upload:
+ *   post:
+ *     summary: Upload a payload that is discarded
+ *     description: Reads the request body of any size and content type as a stream, discards it and reports the size and throughput. The body is never buffered or parsed, so uploads are not subject to the 100kb JSON body limit.
+ *     tags:
+ *       - Network Testing
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/octet-stream:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       200:
+ *         description: Upload received
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/BandwidthResult'
+ *                 - type: object
+ *                   properties:
+ *                     contentType:
+ *                       type: string
+ *       429:
+ *         description: Concurrency limit reached (see Guardrails)
+ *       500:
+ *         description: Upload failed
+ */
+app.post('/bandwidth/upload', async (req, res) => {
+    const violation = checkBandwidthGuardrails();
+    if (violation) {
+        // Reject without reading the body, then close the connection it would arrive on
+        res.set('Connection', 'close');
+        return res.status(violation.status).json(violation.body);
+    }
+
+    const job = startJob('Bandwidth', { direction: 'upload', contentLength: parseInt(req.get('Content-Length'), 10) || null }, null,
+        (job) => receiveUpload(req, job));
+    log('info', `Receiving upload${job.parameters.contentLength ? ` of ${job.parameters.contentLength} bytes` : ''} (job ${job.id})...`, { jobId: job.id });
+
+    try {
+        const result = await job.promise;
+        log('info', `Upload ${job.state}: ${result.transferredMB}MB at ${result.throughputMBps}MB/s (job ${job.id})`, { jobId: job.id });
+        if (result.cancelled) {
+            // The client may still be sending; close the connection once it has the answer
+            res.set('Connection', 'close');
+        }
+        res.json({ jobId: job.id, ...result });
+    } catch (error) {
+        log('error', 'Error during upload:', { jobId: job.id, error });
+        if (!res.headersSent && !req.destroyed) {
+            res.status(500).json({
+                error: 'Upload failed',
+                message: error.message
+            });
+        }
+    }
+});
+
+// Longest event loop block. Not even SIGTERM is handled during a block, so it must end.
+const BLOCK_MAX_MS = 10 * 60 * 1000;
+
+// Returns a 400 or guardrail violation for a block of ms, or null when it may run
+function checkBlock(ms) {
+    if (ms > BLOCK_MAX_MS) {
+        return { status: 400, body: { error: `ms must be at most ${BLOCK_MAX_MS}ms (10 minutes)` } };
+    }
+    return checkGuardrails('Event Loop Block', { durationSeconds: ms / 1000 });
+}
+
+// Block the event loop with a synchronous busy-wait. Unlike cpuStress, which yields every
+// 10ms, nothing else runs until it returns - not even /health. Returns the blocked ms.
+function blockEventLoop(durationMs) {
+    const start = Date.now();
+    let result = 0;
+    while (Date.now() - start < durationMs) {
+        result += Math.sqrt(Math.random());
+    }
+    return Date.now() - start;
+}
+
+/**
+ * @swagger
+ * /block:
+ *   post:
+ *     summary: Block the event loop
+ *     description: Busy-waits synchronously on the main thread for the given time, then responds. No other request (including /health) is served while it runs.
+ *     tags:
+ *       - Probe Testing
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - ms
+ *             properties:
+ *               ms:
+ *                 type: number
+ *                 description: How long to block in milliseconds (at most 10 minutes and MAX_DURATION_SECONDS)
+ *                 example: 15000
+ *     responses:
+ *       200:
+ *         description: Event loop was blocked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 type:
+ *                   type: string
+ *                 requestedMs:
+ *                   type: number
+ *                 blockedMs:
+ *                   type: number
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Invalid input parameters
+ */
+app.post('/block', (req, res) => {
+    const { ms } = req.body;
+
+    if (typeof ms !== 'number' || ms <= 0) {
+        return res.status(400).json({
+            error: 'ms must be a positive number (milliseconds)'
+        });
+    }
+
+    const violation = checkBlock(ms);
+    if (violation) {
+        return res.status(violation.status).json(violation.body);
+    }
+
+    log('warn', `Blocking the event loop for ${ms}ms...`);
+    const blockedMs = blockEventLoop(ms);
+    log('info', `Event loop unblocked after ${blockedMs}ms`);
+
+    res.json({
+        type: 'Event Loop Block',
+        requestedMs: ms,
+        blockedMs: blockedMs,
+        timestamp: new Date().toISOString()
+    });
+});
+
+/**
+ * @swagger
+ * /block:
+ *   get:
+ *     summary: Block the event loop (query params)
+ *     description: Responds immediately, then busy-waits synchronously on the main thread for the given time
+ *     tags:
+ *       - Probe Testing
+ *     parameters:
+ *       - in: query
+ *         name: ms
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: How long to block in milliseconds (at most 10 minutes and MAX_DURATION_SECONDS)
+ *         example: 15000
+ *     responses:
+ *       200:
+ *         description: Event loop block scheduled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 type:
+ *                   type: string
+ *                 requestedMs:
+ *                   type: number
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Invalid input parameters
+ */
+app.get('/block', (req, res) => {
+    const msNum = parseInt(req.query.ms, 10);
+
+    if (!req.query.ms) {
+        return res.status(400).json({
+            error: 'Missing required query parameter: ms is required',
+            example: '/block?ms=15000'
+        });
+    }
+
+    if (isNaN(msNum) || msNum <= 0) {
+        return res.status(400).json({
+            error: 'ms must be a positive number (milliseconds)'
+        });
+    }
+
+    const violation = checkBlock(msNum);
+    if (violation) {
+        return res.status(violation.status).json(violation.body);
+    }
+
+    // Block once the response has been written
+    res.on('finish', () => setImmediate(() => {
+        log('warn', `Blocking the event loop for ${msNum}ms...`);
+        const blockedMs = blockEventLoop(msNum);
+        log('info', `Event loop unblocked after ${blockedMs}ms`);
+    }));
+
+    res.json({
+        status: 'started',
+        type: 'Event Loop Block',
+        requestedMs: msNum,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Latency distributions for /latency and the parameters each one needs
+const LATENCY_DISTRIBUTIONS = {
+    fixed: ['ms'],
+    uniform: ['min', 'max'],
+    normal: ['mean', 'stddev'],
+    longtail: ['p50', 'p99']
+};
+const Z_99 = 2.3263; // standard normal quantile of the 99th percentile
+// Longest delay /latency waits, for parameters and sampled delays alike. Also keeps delays
+// below the setTimeout limit of 2^31-1 ms, beyond which timers fire at once.
+const LATENCY_MAX_MS = 3600 * 1000;
+
+// Standard normal sample (Box-Muller)
+function randomNormal() {
+    return Math.sqrt(-2 * Math.log(1 - Math.random())) * Math.cos(2 * Math.PI * Math.random());
+}
+
+// Returns an error message for an invalid latency definition, or null when it is valid
+function validateLatency(options) {
+    const fields = LATENCY_DISTRIBUTIONS[options.distribution];
+    if (!fields) {
+        return `distribution must be one of ${Object.keys(LATENCY_DISTRIBUTIONS).join(', ')}`;
+    }
+
+    for (const field of fields) {
+        if (typeof options[field] !== 'number' || isNaN(options[field]) || options[field] < 0) {
+            return `${options.distribution} latency requires ${fields.join(' and ')} in ms (non-negative numbers)`;
+        }
+        if (options[field] > LATENCY_MAX_MS) {
+            return `${field} must be at most ${LATENCY_MAX_MS}ms (1 hour)`;
+        }
+    }
+
+    if (options.distribution === 'uniform' && options.min > options.max) {
+        return 'min must not be greater than max';
+    }
+    if (options.distribution === 'longtail' && !(options.p50 > 0 && options.p99 >= options.p50)) {
+        return 'p50 must be positive and p99 must not be less than p50';
+    }
+    return null;
+}
+
+// Draw one delay in ms from a validated latency definition, capped at LATENCY_MAX_MS. The
+// long tail is a log-normal distribution fitted so its median and 99th percentile match
+// p50 and p99.
+function sampleLatencyMs(options) {
+    switch (options.distribution) {
+        case 'uniform':
+            return options.min + Math.random() * (options.max - options.min);
+        case 'normal':
+            return Math.min(LATENCY_MAX_MS, Math.max(0, options.mean + options.stddev * randomNormal()));
+        case 'longtail': {
+            const sigma = Math.log(options.p99 / options.p50) / Z_99;
+            return Math.min(LATENCY_MAX_MS, Math.exp(Math.log(options.p50) + sigma * randomNormal()));
+        }
+        default:
+            return options.ms;
+    }
+}
+
+// Validate a latency definition, wait for one sampled delay and respond. A shutdown during
+// the wait responds at once with "terminated": true.
+function respondWithLatency(res, options) {
+    const error = validateLatency(options);
+    if (error) {
+        return res.status(400).json({ error: error });
+    }
+
+    const parameters = {};
+    for (const field of LATENCY_DISTRIBUTIONS[options.distribution]) {
+        parameters[field] = options[field];
+    }
+    const delayMs = Math.round(sampleLatencyMs(options));
+    const startTime = Date.now();
+
+    const respond = (terminated) => {
+        clearTimeout(timer);
+        jobEvents.off('shutdown', onShutdown);
+        res.json({
+            type: 'Latency',
+            distribution: options.distribution,
+            parameters: parameters,
+            delayMs: delayMs,
+            actualMs: Date.now() - startTime,
+            ...(terminated && { terminated: true }),
+            timestamp: new Date().toISOString()
+        });
+    };
+    const onShutdown = () => respond(true);
+
+    const timer = setTimeout(() => respond(false), delayMs);
+    jobEvents.on('shutdown', onShutdown);
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     LatencyResponse:
+ *       type: object
+ *       properties:
+ *         type:
+ *           type: string
+ *         distribution:
+ *           type: string
+ *         parameters:
+ *           type: object
+ *           description: The parameters of the chosen distribution
+ *         delayMs:
+ *           type: number
+ *           description: Delay drawn from the distribution
+ *         actualMs:
+ *           type: number
+ *           description: Time actually waited before responding
+ *         terminated:
+ *           type: boolean
+ *           description: Present when a graceful shutdown cut the delay short
+ *         timestamp:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /latency:
+ *   post:
+ *     summary: Respond after an injected delay
+ *     description: Waits for a delay drawn from a latency distribution without blocking the event loop, then responds. fixed needs ms, uniform needs min and max, normal needs mean and stddev, and longtail needs p50 and p99 (a log-normal distribution with that median and 99th percentile).
+ *     tags:
+ *       - Probe Testing
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - distribution
+ *             properties:
+ *               distribution:
+ *                 type: string
+ *                 enum: [fixed, uniform, normal, longtail]
+ *                 example: longtail
+ *               ms:
+ *                 type: number
+ *                 description: Delay in ms (fixed)
+ *               min:
+ *                 type: number
+ *                 description: Shortest delay in ms (uniform)
+ *               max:
+ *                 type: number
+ *                 description: Longest delay in ms (uniform)
+ *               mean:
+ *                 type: number
+ *                 description: Mean delay in ms (normal)
+ *               stddev:
+ *                 type: number
+ *                 description: Standard deviation in ms (normal)
+ *               p50:
+ *                 type: number
+ *                 description: Median delay in ms (longtail)
+ *                 example: 50
+ *               p99:
+ *                 type: number
+ *                 description: 99th percentile delay in ms (longtail)
+ *                 example: 2000
+ *     responses:
+ *       200:
+ *         description: Delayed response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LatencyResponse'
+ *       400:
+ *         description: Invalid latency definition
+ */
+app.post('/latency', (req, res) => {
+    respondWithLatency(res, req.body);
+});
+
+/**
+ * @swagger
+ * /latency:
+ *   get:
+ *     summary: Respond after an injected delay (query params)
+ *     description: Waits for a delay drawn from a latency distribution, then responds. Takes the same parameters as POST /latency; distribution defaults to fixed.
+ *     tags:
+ *       - Probe Testing
+ *     parameters:
+ *       - in: query
+ *         name: distribution
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [fixed, uniform, normal, longtail]
+ *         example: uniform
+ *       - in: query
+ *         name: ms
+ *         schema:
+ *           type: number
+ *         description: Delay in ms (fixed)
+ *         example: 500
+ *       - in: query
+ *         name: min
+ *         schema:
+ *           type: number
+ *         description: Shortest delay in ms (uniform)
+ *       - in: query
+ *         name: max
+ *         schema:
+ *           type: number
+ *         description: Longest delay in ms (uniform)
+ *       - in: query
+ *         name: mean
+ *         schema:
+ *           type: number
+ *         description: Mean delay in ms (normal)
+ *       - in: query
+ *         name: stddev
+ *         schema:
+ *           type: number
+ *         description: Standard deviation in ms (normal)
+ *       - in: query
+ *         name: p50
+ *         schema:
+ *           type: number
+ *         description: Median delay in ms (longtail)
+ *       - in: query
+ *         name: p99
+ *         schema:
+ *           type: number
+ *         description: 99th percentile delay in ms (longtail)
+ *     responses:
+ *       200:
+ *         description: Delayed response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LatencyResponse'
+ *       400:
+ *         description: Invalid latency definition
+ */
+app.get('/latency', (req, res) => {
+    const options = { distribution: req.query.distribution || 'fixed' };
+    for (const field of ['ms', 'min', 'max', 'mean', 'stddev', 'p50', 'p99']) {
+        if (req.query[field] !== undefined) {
+            options[field] = parseFloat(req.query[field]);
+        }
+    }
+    respondWithLatency(res, options);
+});
+
+// Current fault injection state as returned by the /chaos endpoints
+function serializeChaos() {
+    const expiry = (entry) => entry.until === null ? null : new Date(entry.until).toISOString();
+    const health = activeChaos('health');
+    const errors = activeChaos('errors');
+    const ignoreSigterm = chaos.ignoreSigterm;
+    const scheduled = chaos.scheduled;
+
+    return {
+        health: health ? { mode: health.mode, interval: health.interval, expiresAt: expiry(health) } : null,
+        errors: errors ? { percent: errors.percent, status: errors.status, expiresAt: expiry(errors) } : null,
+        ignoreSigterm: ignoreSigterm ? { expiresAt: expiry(ignoreSigterm) } : null,
+        scheduled: scheduled ? { action: scheduled.action, exitCode: scheduled.exitCode, duration: scheduled.duration, at: new Date(scheduled.at).toISOString() } : null,
+        timestamp: new Date().toISOString()
+    };
+}
+
+// Returns the expiry time for an optional duration in seconds, or undefined if it is invalid
+function chaosExpiry(duration) {
+    if (duration === undefined) {
+        return null;
+    }
+    if (typeof duration !== 'number' || duration <= 0) {
+        return undefined;
+    }
+    return Date.now() + duration * 1000;
+}
+
+function handleIgnoredSigterm() {
+    const remaining = ((chaos.ignoreSigterm.until - Date.now()) / 1000).toFixed(1);
+    log('warn', `Received SIGTERM - ignoring it for another ${remaining}s (chaos)`);
+}
+
+// Stop ignoring SIGTERM, so it starts a graceful shutdown again
+function restoreSigterm() {
+    if (chaos.ignoreSigterm) {
+        clearTimeout(chaos.ignoreSigterm.timer);
+        process.removeListener('SIGTERM', handleIgnoredSigterm);
+        chaos.ignoreSigterm = null;
+    }
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ChaosState:
+ *       type: object
+ *       properties:
+ *         health:
+ *           type: object
+ *           nullable: true
+ *           description: Active /health fault (mode, interval, expiresAt)
+ *         errors:
+ *           type: object
+ *           nullable: true
+ *           description: Active error injection (percent, status, expiresAt)
+ *         ignoreSigterm:
+ *           type: object
+ *           nullable: true
+ *           description: Set while SIGTERM is being ignored (expiresAt)
+ *         scheduled:
+ *           type: object
+ *           nullable: true
+ *           description: Pending crash or hang (action, exitCode, duration, at)
+ *         timestamp:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /chaos:
+ *   get:
+ *     summary: Show active fault injection
+ *     tags:
+ *       - Chaos
+ *     responses:
+ *       200:
+ *         description: Current fault injection state
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ChaosState'
+ */
+app.get('/chaos', (req, res) => {
+    res.json(serializeChaos());
+});
+
+/**
+ * @swagger
+ * /chaos:
+ *   delete:
+ *     summary: Stop all fault injection
+ *     description: Restores /health, stops error injection, restores SIGTERM handling and cancels a pending crash or hang
+ *     tags:
+ *       - Chaos
+ *     responses:
+ *       200:
+ *         description: Fault injection cleared
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ChaosState'
+ */
+app.delete('/chaos', (req, res) => {
+    chaos.health = null;
+    chaos.errors = null;
+    restoreSigterm();
+    if (chaos.scheduled) {
+        clearTimeout(chaos.scheduled.timer);
+        chaos.scheduled = null;
+    }
+    log('info', 'Chaos: all fault injection cleared');
+    res.json(serializeChaos());
+});
+
+/**
+ * @swagger
+ * /chaos/health:
+ *   post:
+ *     summary: Make /health fail or flap
+ *     description: With mode fail /health returns 503 until the duration ends. With mode flap it alternates between failing and passing every interval seconds, starting with a failure.
+ *     tags:
+ *       - Chaos
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mode
+ *             properties:
+ *               mode:
+ *                 type: string
+ *                 enum: [fail, flap]
+ *                 example: flap
+ *               duration:
+ *                 type: number
+ *                 description: Seconds until /health recovers (if not specified, until DELETE /chaos)
+ *                 example: 120
+ *               interval:
+ *                 type: number
+ *                 description: Seconds per failing or passing period when flapping (default 10)
+ *                 example: 15
+ *     responses:
+ *       200:
+ *         description: Health fault injected
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ChaosState'
+ *       400:
+ *         description: Invalid input parameters
+ */
+app.post('/chaos/health', (req, res) => {
+    const { mode, duration, interval } = req.body;
+
+    if (mode !== 'fail' && mode !== 'flap') {
+        return res.status(400).json({
+            error: 'mode must be one of fail, flap'
+        });
+    }
+
+    const until = chaosExpiry(duration);
+    if (until === undefined) {
+        return res.status(400).json({
+            error: 'duration must be a positive number if provided'
+        });
+    }
+
+    if (interval !== undefined && (typeof interval !== 'number' || interval <= 0)) {
+        return res.status(400).json({
+            error: 'interval must be a positive number if provided'
+        });
+    }
+
+    chaos.health = { mode, interval: interval || 10, startTime: Date.now(), until };
+    log('warn', `Chaos: /health set to ${mode}${duration ? ` for ${duration}s` : ''}`);
+    res.json(serializeChaos());
+});
+
+/**
+ * @swagger
+ * /chaos/errors:
+ *   post:
+ *     summary: Fail a percentage of requests with 5xx
+ *     description: Answers the chosen share of requests with an error status instead of running them. /health and /chaos are never affected.
+ *     tags:
+ *       - Chaos
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - percent
+ *             properties:
+ *               percent:
+ *                 type: number
+ *                 description: Share of requests to fail (0-100)
+ *                 example: 20
+ *               status:
+ *                 type: integer
+ *                 description: Status code returned (500-599, default 500)
+ *                 example: 503
+ *               duration:
+ *                 type: number
+ *                 description: Seconds to keep failing requests (if not specified, until DELETE /chaos)
+ *                 example: 300
+ *     responses:
+ *       200:
+ *         description: Error injection started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ChaosState'
+ *       400:
+ *         description: Invalid input parameters
+ */
+app.post('/chaos/errors', (req, res) => {
+    const { percent, status, duration } = req.body;
+
+    if (typeof percent !== 'number' || percent <= 0 || percent > 100) {
+        return res.status(400).json({
+            error: 'percent must be a number between 0 and 100'
+        });
+    }
+
+    if (status !== undefined && (!Number.isInteger(status) || status < 500 || status > 599)) {
+        return res.status(400).json({
+            error: 'status must be a 5xx status code if provided'
+        });
+    }
+
+    const until = chaosExpiry(duration);
+    if (until === undefined) {
+        return res.status(400).json({
+            error: 'duration must be a positive number if provided'
+        });
+    }
+
+    chaos.errors = { percent, status: status || 500, startTime: Date.now(), until };
+    log('warn', `Chaos: failing ${percent}% of requests with ${chaos.errors.status}${duration ? ` for ${duration}s` : ''}`);
+    res.json(serializeChaos());
+});
+
+// Schedule a crash or hang after delaySeconds, replacing any pending one
+function scheduleChaos(action, delaySeconds, options, run) {
+    if (chaos.scheduled) {
+        clearTimeout(chaos.scheduled.timer);
+    }
+    const timer = setTimeout(() => {
+        chaos.scheduled = null;
+        run();
+    }, delaySeconds * 1000);
+    chaos.scheduled = { action, ...options, at: Date.now() + delaySeconds * 1000, timer };
+}
+
+/**
+ * @swagger
+ * /chaos/crash:
+ *   post:
+ *     summary: Crash the process after a delay
+ *     description: Exits the process with the given exit code once the delay has passed. Running jobs and open requests are not given a chance to finish.
+ *     tags:
+ *       - Chaos
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               delay:
+ *                 type: number
+ *                 description: Seconds before crashing (default 0)
+ *                 example: 30
+ *               exitCode:
+ *                 type: integer
+ *                 description: Process exit code (default 1)
+ *                 example: 137
+ *     responses:
+ *       200:
+ *         description: Crash scheduled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ChaosState'
+ *       400:
+ *         description: Invalid input parameters
+ */
+app.post('/chaos/crash', (req, res) => {
+    const { delay, exitCode } = req.body;
+
+    if (delay !== undefined && (typeof delay !== 'number' || delay < 0)) {
+        return res.status(400).json({
+            error: 'delay must be a non-negative number if provided'
+        });
+    }
+
+    if (exitCode !== undefined && (!Number.isInteger(exitCode) || exitCode < 0 || exitCode > 255)) {
+        return res.status(400).json({
+            error: 'exitCode must be an integer between 0 and 255 if provided'
+        });
+    }
+
+    const code = exitCode === undefined ? 1 : exitCode;
+    scheduleChaos('crash', delay || 0, { exitCode: code, duration: null }, () => {
+        log('error', `Chaos: crashing with exit code ${code}`);
+        process.exit(code);
+    });
+    log('warn', `Chaos: crash with exit code ${code} scheduled in ${delay || 0}s`);
+    res.json(serializeChaos());
+});
+
+/**
+ * @swagger
+ * /chaos/hang:
+ *   post:
+ *     summary: Hang the process after a delay
+ *     description: Blocks the event loop once the delay has passed, so the process stays alive but stops answering every request including /health
+ *     tags:
+ *       - Chaos
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               delay:
+ *                 type: number
+ *                 description: Seconds before hanging (default 0)
+ *                 example: 30
+ *               duration:
+ *                 type: number
+ *                 description: Seconds to hang for (if not specified, forever)
+ *                 example: 120
+ *     responses:
+ *       200:
+ *         description: Hang scheduled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ChaosState'
+ *       400:
+ *         description: Invalid input parameters
+ */
+app.post('/chaos/hang', (req, res) => {
+    const { delay, duration } = req.body;
+
+    if (delay !== undefined && (typeof delay !== 'number' || delay < 0)) {
+        return res.status(400).json({
+            error: 'delay must be a non-negative number if provided'
+        });
+    }
+
+    if (duration !== undefined && (typeof duration !== 'number' || duration <= 0)) {
+        return res.status(400).json({
+            error: 'duration must be a positive number if provided'
+        });
+    }
+
+    scheduleChaos('hang', delay || 0, { exitCode: null, duration: duration || null }, () => {
+        log('error', `Chaos: hanging the event loop ${duration ? `for ${duration}s` : 'forever'}`);
+        blockEventLoop(duration ? duration * 1000 : Infinity);
+        log('info', 'Chaos: hang ended');
+    });
+    log('warn', `Chaos: hang ${duration ? `of ${duration}s` : 'without end'} scheduled in ${delay || 0}s`);
+    res.json(serializeChaos());
+});
+
+/**
+ * @swagger
+ * /chaos/ignore-sigterm:
+ *   post:
+ *     summary: Ignore SIGTERM for a period
+ *     description: SIGTERM is logged and ignored until the duration ends, so Kubernetes has to fall back to SIGKILL after terminationGracePeriodSeconds
+ *     tags:
+ *       - Chaos
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - duration
+ *             properties:
+ *               duration:
+ *                 type: number
+ *                 description: Seconds to ignore SIGTERM for
+ *                 example: 60
+ *     responses:
+ *       200:
+ *         description: SIGTERM is being ignored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ChaosState'
+ *       400:
+ *         description: Invalid input parameters
+ */
+app.post('/chaos/ignore-sigterm', (req, res) => {
+    const { duration } = req.body;
+
+    if (typeof duration !== 'number' || duration <= 0) {
+        return res.status(400).json({
+            error: 'duration must be a positive number (seconds)'
+        });
+    }
+
+    restoreSigterm();
+    process.on('SIGTERM', handleIgnoredSigterm);
+    chaos.ignoreSigterm = {
+        startTime: Date.now(),
+        until: Date.now() + duration * 1000,
+        timer: setTimeout(() => {
+            restoreSigterm();
+            log('info', 'Chaos: SIGTERM handling restored');
+        }, duration * 1000)
+    };
+    log('warn', `Chaos: ignoring SIGTERM for ${duration}s`);
+    res.json(serializeChaos());
+});
+
+// Scenarios - ordered step lists that chain the CPU, memory and logging generators.
+// Named scenarios are saved so they can be re-run later.
+const scenarios = new Map();
+const SCENARIO_STEP_TYPES = ['cpu', 'memory', 'logs', 'cooldown'];
+// Job type each step type starts, for the concurrency limits of MAX_CONCURRENT_JOBS
+const SCENARIO_STEP_JOB_TYPES = { cpu: 'CPU', memory: 'Controlled Memory', logs: 'Continuous Logging', cooldown: 'Cooldown' };
+
+// Returns an error message for an invalid step, or null when it is valid
+function validateScenarioStep(step, label, inParallel = false) {
+    const isPositive = (value) => typeof value === 'number' && value > 0;
+
+    if (!step || typeof step !== 'object') {
+        return `${label}: must be an object`;
+    }
+
+    if (step.parallel !== undefined) {
+        if (inParallel) {
+            return `${label}: parallel groups cannot be nested`;
+        }
+        if (!Array.isArray(step.parallel) || step.parallel.length === 0) {
+            return `${label}: parallel must be a non-empty array of steps`;
+        }
+        for (let index = 0; index < step.parallel.length; index++) {
+            const error = validateScenarioStep(step.parallel[index], `${label}.${index}`, true);
+            if (error) {
+                return error;
+            }
+        }
+        return null;
+    }
+
+    switch (step.type) {
+        case 'cpu':
+            if (step.profile !== undefined) {
+                const profileError = validateProfile(step.profile, 100);
+                if (profileError) {
+                    return `${label}: invalid profile: ${profileError}`;
+                }
+            } else if (!isPositive(step.seconds)) {
+                return `${label}: seconds must be a positive number`;
+            }
+            if (step.cores !== undefined && (!Number.isInteger(step.cores) || step.cores <= 0 || step.cores > MAX_CPU_WORKERS)) {
+                return `${label}: cores must be a positive integer of at most ${MAX_CPU_WORKERS} (4 per CPU)`;
+            }
+            if (step.targetPercent !== undefined && (!isPositive(step.targetPercent) || step.targetPercent > 100)) {
+                return `${label}: targetPercent must be a number between 0 and 100`;
+            }
+            break;
+        case 'memory':
+            if (step.profile !== undefined) {
+                const profileError = validateProfile(step.profile);
+                if (profileError) {
+                    return `${label}: invalid profile: ${profileError}`;
+                }
+                if (step.profile.band !== undefined && !isPositive(step.profile.band)) {
+                    return `${label}: invalid profile: band must be a positive number (MB)`;
+                }
+            } else if (!isPositive(step.timePeriod) || !isPositive(step.minMemory) || !isPositive(step.maxMemory)) {
+                return `${label}: timePeriod, minMemory and maxMemory must be positive numbers`;
+            } else if (step.minMemory >= step.maxMemory) {
+                return `${label}: minMemory must be less than maxMemory`;
+            }
+            if (validateMemoryMetric(step.metric) || validateMemoryMode(step.mode, step.metric)) {
+                return `${label}: ${validateMemoryMetric(step.metric) || validateMemoryMode(step.mode, step.metric)}`;
+            }
+            break;
+        case 'logs':
+            if (!isPositive(step.seconds)) {
+                return `${label}: seconds must be a positive number`;
+            }
+            if (step.duration !== undefined && !isPositive(step.duration)) {
+                return `${label}: duration must be a positive number if provided`;
+            }
+            if (step.duration === undefined && !step.background) {
+                return `${label}: logs steps without duration must run in the background`;
+            }
+            if (step.format !== undefined && !LOG_FORMATS.includes(step.format)) {
+                return `${label}: format must be one of ${LOG_FORMATS.join(', ')}`;
+            }
+            break;
+        case 'cooldown':
+            if (!isPositive(step.seconds)) {
+                return `${label}: seconds must be a positive number`;
+            }
+            break;
+        default:
+            return `${label}: type must be one of ${SCENARIO_STEP_TYPES.join(', ')}, or the step must be a parallel group`;
+    }
+
+    if (step.background !== undefined && typeof step.background !== 'boolean') {
+        return `${label}: background must be a boolean`;
+    }
+    if (inParallel && step.background) {
+        return `${label}: background steps are not supported inside parallel groups`;
+    }
+
+    return null;
+}
+
+// Returns an error message for an invalid step list, or null when it is valid
+function validateScenario(steps) {
+    if (!Array.isArray(steps) || steps.length === 0) {
+        return 'steps must be a non-empty array';
+    }
+
+    for (let index = 0; index < steps.length; index++) {
+        const error = validateScenarioStep(steps[index], `step ${index}`);
+        if (error) {
+            return error;
+        }
+    }
+
+    return null;
+}
+
+// Expected duration in seconds of the foreground steps, used for job progress
+function scenarioDuration(steps) {
+    return steps.filter(step => !step.background).reduce((sum, step) => {
+        if (step.parallel) {
+            return sum + Math.max(...step.parallel.map(child => scenarioDuration([child])));
+        }
+        if (step.profile) {
+            return sum + profileDuration(step.profile);
+        }
+        return sum + (step.type === 'memory' ? step.timePeriod : (step.duration || step.seconds));
+    }, 0);
+}
+
+// Highest memory level any memory step targets, checked against MAX_MEMORY
+function scenarioPeakMemoryMB(steps) {
+    return Math.max(0, ...steps.map(step => {
+        if (step.parallel) {
+            return scenarioPeakMemoryMB(step.parallel);
+        }
+        if (step.type !== 'memory') {
+            return 0;
+        }
+        return step.profile ? memoryProfilePeakMB(step.profile) : step.maxMemory;
+    }));
+}
+
+// Cooldown step - waits without generating any load
+function cooldown(durationSeconds, job = null) {
+    return new Promise((resolve) => {
+        const finish = (cancelled) => {
+            clearTimeout(timer);
+            resolve({
+                type: 'Cooldown',
+                duration: durationSeconds,
+                completed: !cancelled,
+                cancelled: cancelled,
+                timestamp: new Date().toISOString()
+            });
+        };
+
+        const timer = setTimeout(() => finish(false), durationSeconds * 1000);
+
+        if (job) {
+            job.stop = () => finish(true);
+        }
+    });
+}
+
+function startStepJob(step) {
+    switch (step.type) {
+        case 'cpu':
+            return startCpuJob(step.seconds, step.cores || null, step.targetPercent || null, step.profile || null);
+        case 'memory':
+            return startMemoryJob(step.timePeriod, step.minMemory, step.maxMemory, step.profile || null, step.metric || defaultMemoryMetric(step.mode), step.mode || 'heap');
+        case 'logs':
+            return startLoggingJob(step.seconds, step.duration || null, step.format || logFormat);
+        default:
+            return startJob('Cooldown', { seconds: step.seconds }, step.seconds, (job) => cooldown(step.seconds, job));
+    }
+}
+
+// Run scenario steps in order. Parallel groups wait for all of their steps. Background
+// steps keep running alongside the following steps and are stopped when the last
+// foreground step finishes. A failed step stops the scenario.
+function runScenario(name, steps, job = null) {
+    const startTime = Date.now();
+    const label = name ? `[SCENARIO ${name}]` : '[SCENARIO]';
+    const activeJobs = new Set();
+    let cancelled = false;
+    let failed = false;
+
+    const runStep = async (step, index, path = String(index)) => {
+        if (step.parallel) {
+            const children = await Promise.all(step.parallel.map((child, childIndex) => runStep(child, childIndex, `${path}.${childIndex}`)));
+            return { index: index, parallel: children };
+        }
+
+        // Steps count against the concurrency limit of their own type: at the limit they
+        // fail with reject and wait for a slot with queue, like a direct request would
+        const violation = step.type !== 'cooldown' && checkGuardrails(SCENARIO_STEP_JOB_TYPES[step.type]);
+        if (violation) {
+            log('warn', `${label} Step ${path}: ${step.type} not started: ${violation.body.error}`, { scenario: name, step: path });
+            return { index: index, type: step.type, jobId: null, state: 'failed', result: null, error: violation.body.error };
+        }
+
+        const stepJob = startStepJob(step);
+        activeJobs.add(stepJob);
+        log('info', `${label} Step ${path}: started ${step.type} (job ${stepJob.id})`, { jobId: stepJob.id, scenario: name, step: path });
+
+        try {
+            await stepJob.promise;
+        } catch (error) {
+            // Failure is already recorded on the step job
+        }
+        activeJobs.delete(stepJob);
+        log('info', `${label} Step ${path}: ${step.type} ${stepJob.state} (job ${stepJob.id})`, { jobId: stepJob.id, scenario: name, step: path, state: stepJob.state });
+
+        return {
+            index: index,
+            type: step.type,
+            jobId: stepJob.id,
+            state: stepJob.state,
+            result: stepJob.result,
+            error: stepJob.error
+        };
+    };
+
+    const hasFailed = (stepResult) => stepResult.parallel
+        ? stepResult.parallel.some(hasFailed)
+        : stepResult.state === 'failed';
+
+    if (job) {
+        job.stop = () => {
+            cancelled = true;
+            activeJobs.forEach(cancelJob);
+        };
+    }
+
+    return (async () => {
+        const results = [];
+        const background = [];
+
+        for (let index = 0; index < steps.length && !cancelled && !failed; index++) {
+            if (steps[index].background) {
+                background.push(runStep(steps[index], index));
+                continue;
+            }
+            const stepResult = await runStep(steps[index], index);
+            results.push(stepResult);
+            failed = hasFailed(stepResult);
+        }
+
+        // Stop background steps that are still running
+        activeJobs.forEach(cancelJob);
+        results.push(...await Promise.all(background));
+        results.sort((a, b) => a.index - b.index);
+
+        return {
+            type: 'Scenario',
+            name: name,
+            totalDuration: ((Date.now() - startTime) / 1000).toFixed(1),
+            steps: results,
+            completed: !cancelled && !failed,
+            cancelled: cancelled,
+            failed: failed,
+            timestamp: new Date().toISOString()
+        };
+    })();
+}
+
+// Start a scenario job and answer the request, waiting for completion unless wait is false
+async function respondWithScenario(res, name, steps, wait) {
+    const violation = checkGuardrails('Scenario', { durationSeconds: scenarioDuration(steps), memoryMB: scenarioPeakMemoryMB(steps) });
+    if (violation) {
+        return res.status(violation.status).json(violation.body);
+    }
+
+    const job = startJob('Scenario', { name, steps }, scenarioDuration(steps), (job) => runScenario(name, steps, job));
+    log('info', `Starting scenario${name ? ` ${name}` : ''} with ${steps.length} steps (job ${job.id})...`, { jobId: job.id });
+
+    if (wait === false) {
+        job.promise.catch((error) => log('error', 'Error during scenario:', { jobId: job.id, error }));
+        return res.json({
+            status: 'started',
+            jobId: job.id,
+            type: 'Scenario',
+            name: name,
+            steps: steps.length,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    try {
+        const result = await job.promise;
+        log('info', `Scenario ${job.state} (job ${job.id})`, { jobId: job.id });
+        res.json({ jobId: job.id, ...result });
+    } catch (error) {
+        log('error', 'Error during scenario:', { jobId: job.id, error });
+        res.status(500).json({
+            error: 'Scenario failed',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ScenarioStep:
+ *       type: object
+ *       description: A cpu, memory, logs or cooldown step taking the same parameters as the matching endpoint, or a parallel group
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [cpu, memory, logs, cooldown]
+ *         background:
+ *           type: boolean
+ *           description: Keep running alongside the following steps; stopped when the scenario ends
+ *         parallel:
+ *           type: array
+ *           description: Steps that run at the same time; the group finishes when all of them have
+ *           items:
+ *             type: object
+ *       example:
+ *         type: cpu
+ *         seconds: 60
+ *     Scenario:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: warmup
+ *         steps:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ScenarioStep'
+ *           example:
+ *             - type: logs
+ *               seconds: 5
+ *               background: true
+ *             - type: cpu
+ *               seconds: 60
+ *             - type: memory
+ *               timePeriod: 120
+ *               minMemory: 200
+ *               maxMemory: 400
+ *             - type: cooldown
+ *               seconds: 30
+ */
+
+/**
+ * @swagger
+ * /scenarios:
+ *   post:
+ *     summary: Run a scenario
+ *     description: Runs a list of CPU, memory, logging and cooldown steps. A named scenario is saved so it can be re-run later
+ *     tags:
+ *       - Scenarios
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Scenario'
+ *               - type: object
+ *                 required:
+ *                   - steps
+ *                 properties:
+ *                   wait:
+ *                     type: boolean
+ *                     description: Wait for the scenario to finish (default true); false returns the job ID immediately
+ *     responses:
+ *       200:
+ *         description: Scenario completed (or started when wait is false) with per-step results
+ *       400:
+ *         description: Invalid scenario definition
+ *       429:
+ *         description: Concurrency limit reached, or the queue is full (see Guardrails)
+ *       500:
+ *         description: Scenario failed
+ */
+app.post('/scenarios', async (req, res) => {
+    const { name, steps, wait } = req.body;
+
+    if (name !== undefined && (typeof name !== 'string' || name.trim() === '')) {
+        return res.status(400).json({
+            error: 'name must be a non-empty string if provided'
+        });
+    }
+
+    const scenarioError = validateScenario(steps);
+    if (scenarioError) {
+        return res.status(400).json({
+            error: `Invalid scenario: ${scenarioError}`,
+            example: {
+                name: 'warmup',
+                steps: [
+                    { type: 'logs', seconds: 5, background: true },
+                    { type: 'cpu', seconds: 60 },
+                    { type: 'memory', timePeriod: 120, minMemory: 200, maxMemory: 400 },
+                    { type: 'cooldown', seconds: 30 }
+                ]
+            }
+        });
+    }
+
+    if (name) {
+        scenarios.set(name, { name, steps, savedAt: new Date().toISOString() });
+        log('info', `Saved scenario ${name}`, { scenario: name });
+    }
+
+    await respondWithScenario(res, name || null, steps, wait);
+});
+
+/**
+ * @swagger
+ * /scenarios:
+ *   get:
+ *     summary: List saved scenarios
+ *     tags:
+ *       - Scenarios
+ *     responses:
+ *       200:
+ *         description: Saved scenarios
+ */
+app.get('/scenarios', (req, res) => {
+    const list = [...scenarios.values()];
+    res.json({
+        count: list.length,
+        scenarios: list
+    });
+});
+
+/**
+ * @swagger
+ * /scenarios/{name}:
+ *   get:
+ *     summary: Get a saved scenario
+ *     tags:
+ *       - Scenarios
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Scenario definition
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Scenario'
+ *       404:
+ *         description: Scenario not found
+ */
+app.get('/scenarios/:name', (req, res) => {
+    const scenario = scenarios.get(req.params.name);
+
+    if (!scenario) {
+        return res.status(404).json({
+            error: `Scenario ${req.params.name} not found`
+        });
+    }
+
+    res.json(scenario);
+});
+
+/**
+ * @swagger
+ * /scenarios/{name}:
+ *   delete:
+ *     summary: Delete a saved scenario
+ *     tags:
+ *       - Scenarios
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Scenario deleted
+ *       404:
+ *         description: Scenario not found
+ */
+app.delete('/scenarios/:name', (req, res) => {
+    if (!scenarios.delete(req.params.name)) {
+        return res.status(404).json({
+            error: `Scenario ${req.params.name} not found`
+        });
+    }
+
+    log('info', `Deleted scenario ${req.params.name}`, { scenario: req.params.name });
+    res.json({
+        status: 'deleted',
+        name: req.params.name,
+        timestamp: new Date().toISOString()
+    });
+});
+
+/**
+ * @swagger
+ * /scenarios/{name}/run:
+ *   post:
+ *     summary: Re-run a saved scenario
+ *     tags:
+ *       - Scenarios
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               wait:
+ *                 type: boolean
+ *                 description: Wait for the scenario to finish (default true)
+ *     responses:
+ *       200:
+ *         description: Scenario completed (or started when wait is false) with per-step results
+ *       404:
+ *         description: Scenario not found
+ *       429:
+ *         description: Concurrency limit reached, or the queue is full (see Guardrails)
+ *       500:
+ *         description: Scenario failed
+ */
+app.post('/scenarios/:name/run', async (req, res) => {
+    const scenario = scenarios.get(req.params.name);
+
+    if (!scenario) {
+        return res.status(404).json({
+            error: `Scenario ${req.params.name} not found`
+        });
+    }
+
+    await respondWithScenario(res, scenario.name, scenario.steps, req.body && req.body.wait);
+});
+
+// Scheduled tests - each schedule runs scenario steps (or a saved scenario) as a Scenario job
+// whenever its cron expression matches, in the server's local time zone (TZ)
+const schedules = new Map();
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+    { name: 'day of week', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+const CRON_MACROS = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *'
+};
+const MAX_TIMER_MS = 2 ** 31 - 1; // longer setTimeout delays fire immediately
+
+// Parse one cron field (e.g. "*/15", "1-5", "MON-FRI", "0,30") into the set of matching values
+function parseCronField(text, field) {
+    const values = new Set();
+    const toNumber = (token) => {
+        const index = field.names ? field.names.indexOf(token.toUpperCase()) : -1;
+        const value = index >= 0 ? index + field.min : Number(token);
+        if (token === '' || !Number.isInteger(value) || value < field.min || value > field.max) {
+            throw new Error(`invalid ${field.name} "${token}" (expected ${field.min}-${field.max})`);
+        }
+        return value;
+    };
+
+    for (const part of text.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step <= 0) {
+            throw new Error(`invalid step "${stepText}" in ${field.name}`);
+        }
+
+        let first = field.min;
+        let last = field.max;
+        if (range !== '*') {
+            const [start, end] = range.split('-');
+            first = toNumber(start);
+            last = end !== undefined ? toNumber(end) : (stepText === undefined ? first : field.max);
+            if (first > last) {
+                throw new Error(`invalid ${field.name} range "${range}"`);
+            }
+        }
+        for (let value = first; value <= last; value += step) {
+            values.add(value);
+        }
+    }
+    return values;
+}
+
+// Parse a five-field cron expression (minute hour day-of-month month day-of-week) or a macro
+// such as @hourly. Throws an Error describing the first invalid field.
+function parseCron(expression) {
+    if (typeof expression !== 'string') {
+        throw new Error('cron must be a string such as "0 9 * * MON-FRI"');
+    }
+    const text = CRON_MACROS[expression.trim().toLowerCase()] || expression.trim();
+    const parts = text.split(/\s+/);
+    if (parts.length !== 5) {
+        throw new Error(`cron must have 5 fields (minute hour day-of-month month day-of-week), got ${parts.length}`);
+    }
+
+    const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, index) => parseCronField(part, CRON_FIELDS[index]));
+    if (dayOfWeek.delete(7)) {
+        dayOfWeek.add(0); // 7 is Sunday as well
+    }
+    return {
+        minute, hour, dayOfMonth, month, dayOfWeek,
+        // Like cron, a restricted day of month and day of week match when either one does
+        anyDay: parts[2] !== '*' && parts[4] !== '*'
+    };
+}
+
+// Next time after from (a Date) that matches a parsed cron expression, or null if none
+// within five years (e.g. "0 0 31 2 *")
+function nextCronTime(cron, from) {
+    const time = new Date(from.getTime());
+    time.setSeconds(0, 0);
+    time.setMinutes(time.getMinutes() + 1);
+    const limit = from.getTime() + 5 * 366 * 24 * 3600 * 1000;
+
+    while (time.getTime() < limit) {
+        if (!cron.month.has(time.getMonth() + 1)) {
+            time.setMonth(time.getMonth() + 1, 1);
+            time.setHours(0, 0, 0, 0);
+            continue;
+        }
+        const dayOfMonthMatches = cron.dayOfMonth.has(time.getDate());
+        const dayOfWeekMatches = cron.dayOfWeek.has(time.getDay());
+        if (cron.anyDay ? !(dayOfMonthMatches || dayOfWeekMatches) : !(dayOfMonthMatches && dayOfWeekMatches)) {
+            time.setDate(time.getDate() + 1);
+            time.setHours(0, 0, 0, 0);
+            continue;
+        }
+        if (!cron.hour.has(time.getHours())) {
+            time.setHours(time.getHours() + 1, 0, 0, 0);
+            continue;
+        }
+        if (!cron.minute.has(time.getMinutes())) {
+            time.setMinutes(time.getMinutes() + 1, 0, 0);
+            continue;
+        }
+        return time;
+    }
+    return null;
+}
+
+// Returns an error message for an invalid schedule definition, or null when it is valid
+function validateSchedule(definition) {
+    const { name, cron, steps, scenario, enabled } = definition || {};
+    if (typeof name !== 'string' || name.trim() === '') {
+        return 'name must be a non-empty string';
+    }
+    try {
+        parseCron(cron);
+    } catch (error) {
+        return error.message;
+    }
+    if ((steps === undefined) === (scenario === undefined)) {
+        return 'Give either steps (scenario steps to run) or scenario (the name of a saved scenario)';
+    }
+    if (steps !== undefined) {
+        const error = validateScenario(steps);
+        if (error) {
+            return error;
+        }
+    }
+    if (scenario !== undefined && !scenarios.has(scenario)) {
+        return `scenario ${scenario} not found; save it with POST /scenarios first`;
+    }
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+        return 'enabled must be a boolean';
+    }
+    return null;
+}
+
+// Arm the timer for the next run. Delays beyond the setTimeout limit re-arm on expiry.
+function armSchedule(schedule) {
+    clearTimeout(schedule.timer);
+    schedule.nextRun = schedule.enabled ? nextCronTime(schedule.parsed, new Date()) : null;
+    if (!schedule.nextRun) {
+        return;
+    }
+    const delayMs = schedule.nextRun.getTime() - Date.now();
+    schedule.timer = setTimeout(() => {
+        if (delayMs > MAX_TIMER_MS) {
+            return armSchedule(schedule);
+        }
+        runSchedule(schedule);
+        armSchedule(schedule);
+    }, Math.min(delayMs, MAX_TIMER_MS));
+    schedule.timer.unref();
+}
+
+// Start one run of a schedule. A run is skipped while the previous one is still going, when
+// its saved scenario no longer exists, or when a guardrail would reject it.
+function runSchedule(schedule) {
+    const fields = { schedule: schedule.name };
+    const previous = schedule.lastRun && jobs.get(schedule.lastRun.jobId);
+    const skip = (reason) => {
+        schedule.skipped++;
+        schedule.lastSkip = { time: new Date().toISOString(), reason };
+        log('warn', `Skipped scheduled run of ${schedule.name}: ${reason}`, fields);
+    };
+
+    if (previous && (previous.state === 'running' || previous.state === 'queued')) {
+        return skip(`the previous run (job ${previous.id}) is still ${previous.state}`);
+    }
+
+    const saved = schedule.scenario ? scenarios.get(schedule.scenario) : null;
+    if (schedule.scenario && !saved) {
+        return skip(`scenario ${schedule.scenario} no longer exists`);
+    }
+    const name = saved ? saved.name : schedule.name;
+    const steps = saved ? saved.steps : schedule.steps;
+
+    const violation = checkGuardrails('Scenario', { durationSeconds: scenarioDuration(steps), memoryMB: scenarioPeakMemoryMB(steps) });
+    if (violation) {
+        return skip(violation.body.error);
+    }
+
+    const job = startJob('Scenario', { name, steps, schedule: schedule.name }, scenarioDuration(steps), (job) => runScenario(name, steps, job));
+    schedule.runs++;
+    schedule.lastRun = { jobId: job.id, time: new Date().toISOString() };
+    log('info', `Starting scheduled run of ${schedule.name} (job ${job.id})...`, { ...fields, jobId: job.id });
+    job.promise.then(
+        () => log('info', `Scheduled run of ${schedule.name} ${job.state} (job ${job.id})`, { ...fields, jobId: job.id }),
+        (error) => log('error', `Scheduled run of ${schedule.name} failed:`, { ...fields, jobId: job.id, error })
+    );
+}
+
+function createSchedule(definition, source = 'api') {
+    const schedule = {
+        name: definition.name,
+        cron: definition.cron,
+        parsed: parseCron(definition.cron),
+        steps: definition.steps,
+        scenario: definition.scenario,
+        enabled: definition.enabled !== false,
+        source: source,
+        createdAt: new Date().toISOString(),
+        runs: 0,
+        skipped: 0,
+        lastRun: null,
+        lastSkip: null,
+        nextRun: null,
+        timer: null
+    };
+    schedules.set(schedule.name, schedule);
+    armSchedule(schedule);
+    log('info', `Created schedule ${schedule.name} (${schedule.cron}), next run ${schedule.nextRun ? schedule.nextRun.toISOString() : 'never'}`, { schedule: schedule.name });
+    return schedule;
+}
+
+function serializeSchedule(schedule) {
+    const lastJob = schedule.lastRun && jobs.get(schedule.lastRun.jobId);
+    return {
+        name: schedule.name,
+        cron: schedule.cron,
+        ...(schedule.steps ? { steps: schedule.steps } : { scenario: schedule.scenario }),
+        enabled: schedule.enabled,
+        source: schedule.source,
+        createdAt: schedule.createdAt,
+        nextRun: schedule.nextRun ? schedule.nextRun.toISOString() : null,
+        runs: schedule.runs,
+        skipped: schedule.skipped,
+        lastRun: schedule.lastRun && { ...schedule.lastRun, state: lastJob ? lastJob.state : null },
+        lastSkip: schedule.lastSkip
+    };
+}
+
+// Create the schedules listed in SCHEDULES_FILE, a JSON array of schedule definitions (or an
+// object with a schedules array). Invalid entries are logged and skipped.
+function loadSchedulesFile(file = process.env.SCHEDULES_FILE) {
+    if (!file) {
+        return;
+    }
+
+    let definitions;
+    try {
+        const content = JSON.parse(fs.readFileSync(file, 'utf8'));
+        definitions = Array.isArray(content) ? content : content.schedules;
+        if (!Array.isArray(definitions)) {
+            throw new Error('expected an array of schedules or { "schedules": [...] }');
+        }
+    } catch (error) {
+        log('error', `Could not load schedules from ${file}: ${error.message}`, { file });
+        return;
+    }
+
+    for (const [index, definition] of definitions.entries()) {
+        const error = validateSchedule(definition) || (schedules.has(definition.name) ? `schedule ${definition.name} already exists` : null);
+        if (error) {
+            log('error', `Skipping schedule ${index} in ${file}: ${error}`, { file });
+            continue;
+        }
+        createSchedule(definition, 'file');
+    }
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Schedule:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: weekday-cpu-spike
+ *         cron:
+ *           type: string
+ *           description: "minute hour day-of-month month day-of-week in the server time zone, or @hourly, @daily, @weekly, @monthly, @yearly"
+ *           example: 0 9 * * MON-FRI
+ *         steps:
+ *           type: array
+ *           description: Scenario steps to run (see POST /scenarios)
+ *           items:
+ *             $ref: '#/components/schemas/ScenarioStep'
+ *           example:
+ *             - type: cpu
+ *               seconds: 300
+ *               targetPercent: 80
+ *         scenario:
+ *           type: string
+ *           description: Name of a saved scenario to run instead of steps
+ *         enabled:
+ *           type: boolean
+ *           description: Disabled schedules never run (default true)
+ *     ScheduleStatus:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Schedule'
+ *         - type: object
+ *           properties:
+ *             source:
+ *               type: string
+ *               enum: [api, file]
+ *             createdAt:
+ *               type: string
+ *               format: date-time
+ *             nextRun:
+ *               type: string
+ *               format: date-time
+ *               nullable: true
+ *             runs:
+ *               type: integer
+ *             skipped:
+ *               type: integer
+ *               description: Runs skipped because the previous run was still going or a guardrail rejected them
+ *             lastRun:
+ *               type: object
+ *               nullable: true
+ *               properties:
+ *                 jobId:
+ *                   type: string
+ *                 time:
+ *                   type: string
+ *                   format: date-time
+ *                 state:
+ *                   type: string
+ *             lastSkip:
+ *               type: object
+ *               nullable: true
+ *               properties:
+ *                 time:
+ *                   type: string
+ *                   format: date-time
+ *                 reason:
+ *                   type: string
+ */
+
+/**
+ * @swagger
+ * /schedules:
+ *   post:
+ *     summary: Create a schedule
+ *     description: Runs scenario steps, or a saved scenario, as a Scenario job whenever the cron expression matches. A run is skipped while the previous run of the schedule is still going.
+ *     tags:
+ *       - Schedules
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Schedule'
+ *     responses:
+ *       201:
+ *         description: Schedule created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ScheduleStatus'
+ *       400:
+ *         description: Invalid schedule definition
+ *       409:
+ *         description: A schedule with this name already exists
+ */
+app.post('/schedules', (req, res) => {
+    const error = validateSchedule(req.body);
+    if (error) {
+        return res.status(400).json({
+            error: error,
+            example: {
+                name: 'weekday-cpu-spike',
+                cron: '0 9 * * MON-FRI',
+                steps: [{ type: 'cpu', seconds: 300, targetPercent: 80 }]
+            }
+        });
+    }
+
+    if (schedules.has(req.body.name)) {
+        return res.status(409).json({
+            error: `Schedule ${req.body.name} already exists; delete it first`
+        });
+    }
+
+    const schedule = createSchedule(req.body);
+    res.status(201).json(serializeSchedule(schedule));
+});
+
+/**
+ * @swagger
+ * /schedules:
+ *   get:
+ *     summary: List schedules
+ *     tags:
+ *       - Schedules
+ *     responses:
+ *       200:
+ *         description: Schedules with their next and last runs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 count:
+ *                   type: integer
+ *                 schedules:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ScheduleStatus'
+ */
+app.get('/schedules', (req, res) => {
+    const list = [...schedules.values()].map(serializeSchedule);
+    res.json({
+        count: list.length,
+        schedules: list
+    });
+});
+
+/**
+ * @swagger
+ * /schedules/{name}:
+ *   get:
+ *     summary: Get a schedule
+ *     tags:
+ *       - Schedules
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Schedule details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ScheduleStatus'
+ *       404:
+ *         description: Schedule not found
+ */
+app.get('/schedules/:name', (req, res) => {
+    const schedule = schedules.get(req.params.name);
+
+    if (!schedule) {
+        return res.status(404).json({
+            error: `Schedule ${req.params.name} not found`
+        });
+    }
+
+    res.json(serializeSchedule(schedule));
+});
+
+/**
+ * @swagger
+ * /schedules/{name}:
+ *   delete:
+ *     summary: Delete a schedule
+ *     description: Stops future runs. A run that is already going keeps running (cancel it via DELETE /jobs/{id}).
+ *     tags:
+ *       - Schedules
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Schedule deleted
+ *       404:
+ *         description: Schedule not found
+ */
+app.delete('/schedules/:name', (req, res) => {
+    const schedule = schedules.get(req.params.name);
+
+    if (!schedule) {
+        return res.status(404).json({
+            error: `Schedule ${req.params.name} not found`
+        });
+    }
+
+    clearTimeout(schedule.timer);
+    schedules.delete(schedule.name);
+    log('info', `Deleted schedule ${schedule.name}`, { schedule: schedule.name });
+    res.json({
+        status: 'deleted',
+        name: schedule.name,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Startup load - tests started when the server begins listening, without an HTTP call.
+// STARTUP_* env vars each start one independent job; STARTUP_CONFIG names a JSON file
+// whose steps run as a scenario called "startup".
+let startupDelaySeconds = parseFloat(process.env.STARTUP_DELAY_SECONDS) || 0;
+
+// Steps described by the STARTUP_* env vars, in the same shape as scenario steps
+function startupStepsFromEnv(env = process.env) {
+    const number = (name) => env[name] === undefined || env[name] === '' ? undefined : Number(env[name]);
+    const steps = [];
+
+    if (env.STARTUP_CPU_SECONDS) {
+        steps.push({
+            type: 'cpu',
+            seconds: number('STARTUP_CPU_SECONDS'),
+            cores: number('STARTUP_CPU_CORES'),
+            targetPercent: number('STARTUP_CPU_PERCENT')
+        });
+    }
+    if (env.STARTUP_MEMORY_MIN || env.STARTUP_MEMORY_MAX) {
+        steps.push({
+            type: 'memory',
+            timePeriod: number('STARTUP_MEMORY_SECONDS') || 300,
+            minMemory: number('STARTUP_MEMORY_MIN'),
+            maxMemory: number('STARTUP_MEMORY_MAX'),
+            metric: env.STARTUP_MEMORY_METRIC || undefined,
+            mode: env.STARTUP_MEMORY_MODE || undefined
+        });
+    }
+    if (env.STARTUP_LOG_INTERVAL) {
+        steps.push({
+            type: 'logs',
+            seconds: number('STARTUP_LOG_INTERVAL'),
+            duration: number('STARTUP_LOG_DURATION'),
+            format: env.STARTUP_LOG_FORMAT || undefined,
+            background: true // logging may run until the container stops
+        });
+    }
+
+    // Unset optional variables must not reach validation as explicit undefined values
+    return steps.map(step => Object.fromEntries(Object.entries(step).filter(([, value]) => value !== undefined)));
+}
+
+// Read STARTUP_CONFIG: { "delaySeconds"?: number, "steps": [...] } or a plain array of steps
+function readStartupConfig(file) {
+    const content = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const config = Array.isArray(content) ? { steps: content } : content;
+
+    if (config.delaySeconds !== undefined && (typeof config.delaySeconds !== 'number' || config.delaySeconds < 0)) {
+        throw new Error('delaySeconds must be a non-negative number');
+    }
+    const error = validateScenario(config.steps);
+    if (error) {
+        throw new Error(error);
+    }
+    return config;
+}
+
+// Start the configured startup load. Invalid settings and guardrail violations are logged
+// and the affected test is skipped; the server keeps running either way.
+function startStartupLoad() {
+    const started = [];
+
+    startupStepsFromEnv().forEach((step) => {
+        const type = SCENARIO_STEP_JOB_TYPES[step.type];
+        const error = validateScenarioStep(step, `STARTUP_${step.type.toUpperCase()}_*`);
+        const violation = !error && checkGuardrails(type, {
+            durationSeconds: step.type === 'logs' ? (step.duration ?? null) : scenarioDuration([step]),
+            memoryMB: step.type === 'memory' ? step.maxMemory : undefined
+        });
+        if (error || violation) {
+            log('error', `Skipping startup ${step.type} test: ${error || violation.body.error}`);
+            return;
+        }
+
+        const job = startStepJob(step);
+        started.push(job);
+        job.promise.catch((failure) => log('error', `Startup ${step.type} test failed:`, { jobId: job.id, error: failure }));
+    });
+
+    const file = process.env.STARTUP_CONFIG;
+    if (file) {
+        try {
+            const config = readStartupConfig(file);
+            if (config.delaySeconds !== undefined) {
+                startupDelaySeconds = config.delaySeconds;
+            }
+            const steps = config.steps;
+            const violation = checkGuardrails('Scenario', { durationSeconds: scenarioDuration(steps), memoryMB: scenarioPeakMemoryMB(steps) });
+            if (violation) {
+                throw new Error(violation.body.error);
+            }
+
+            const job = startJob('Scenario', { name: 'startup', steps }, scenarioDuration(steps), (job) => runScenario('startup', steps, job));
+            started.push(job);
+            job.promise.catch((error) => log('error', 'Startup scenario failed:', { jobId: job.id, error }));
+        } catch (error) {
+            log('error', `Could not start the startup load from ${file}: ${error.message}`, { file });
+        }
+    }
+
+    if (started.length > 0) {
+        log('info', `Startup load: ${started.map(job => `${job.type} (job ${job.id})`).join(', ')}`);
+    }
+    if (startupDelaySeconds > 0) {
+        log('info', `Readiness delayed for ${startupDelaySeconds}s after startup`);
+    }
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Job:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: "1"
+ *         type:
+ *           type: string
+ *           example: CPU
+ *         state:
+ *           type: string
+ *           enum: [queued, running, completed, cancelled, terminated, failed]
+ *         progress:
+ *           type: number
+ *           nullable: true
+ *           description: Percentage complete (null for indefinite jobs)
+ *         elapsedSeconds:
+ *           type: number
+ *         parameters:
+ *           type: object
+ *         queuePosition:
+ *           type: integer
+ *           description: Place in the queue of its type, starting at 1 (queued jobs only)
+ *         currentPhase:
+ *           type: object
+ *           description: Active load profile phase (profile jobs only)
+ *           properties:
+ *             index:
+ *               type: integer
+ *             pattern:
+ *               type: string
+ *             level:
+ *               type: number
+ *             phaseElapsedSeconds:
+ *               type: number
+ *         target:
+ *           type: object
+ *           description: Configured vs. achieved level of a running job that holds a target
+ *           properties:
+ *             resource:
+ *               type: string
+ *               example: cpu_percent
+ *             configured:
+ *               type: object
+ *               example:
+ *                 target: 60
+ *             achieved:
+ *               type: number
+ *               nullable: true
+ *         startTime:
+ *           type: string
+ *           format: date-time
+ *         endTime:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         result:
+ *           type: object
+ *           nullable: true
+ *         error:
+ *           type: string
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /jobs:
+ *   get:
+ *     summary: List stress test jobs
+ *     description: Returns all running jobs and recently finished jobs
+ *     tags:
+ *       - Jobs
+ *     parameters:
+ *       - in: query
+ *         name: state
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [queued, running, completed, cancelled, terminated, failed]
+ *         description: Only return jobs in this state
+ *       - in: query
+ *         name: type
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Only return jobs of this type (e.g. CPU)
+ *     responses:
+ *       200:
+ *         description: Job list
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 count:
+ *                   type: number
+ *                 jobs:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Job'
+ */
+app.get('/jobs', (req, res) => {
+    const { state, type } = req.query;
+
+    const list = [...jobs.values()]
+        .filter(job => !state || job.state === state)
+        .filter(job => !type || job.type === type)
+        .map(serializeJob);
+
+    res.json({
+        count: list.length,
+        jobs: list
+    });
+});
+
+/**
+ * @swagger
+ * /jobs/{id}:
+ *   get:
+ *     summary: Get a stress test job
+ *     description: Returns state, progress, elapsed time, parameters and result of a job
+ *     tags:
+ *       - Jobs
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Job'
+ *       404:
+ *         description: Job not found
+ */
+app.get('/jobs/:id', (req, res) => {
+    const job = jobs.get(req.params.id);
+
+    if (!job) {
+        return res.status(404).json({
+            error: `Job ${req.params.id} not found`
+        });
+    }
+
+    res.json(serializeJob(job));
+});
+
+/**
+ * @swagger
+ * /jobs/{id}:
+ *   delete:
+ *     summary: Cancel a running or queued stress test job
+ *     description: Stops the job's intervals and releases any memory it holds
+ *     tags:
+ *       - Jobs
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Job'
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Job is not running or queued
+ */
+app.delete('/jobs/:id', async (req, res) => {
+    const job = jobs.get(req.params.id);
+
+    if (!job) {
+        return res.status(404).json({
+            error: `Job ${req.params.id} not found`
+        });
+    }
+
+    if (!cancelJob(job)) {
+        return res.status(409).json({
+            error: `Job ${job.id} is not running`,
+            state: job.state
+        });
+    }
+
+    log('info', `Cancelled ${job.type} job ${job.id}`, { jobId: job.id, type: job.type });
+
+    try {
+        await job.promise;
+    } catch (error) {
+        // Failure is already recorded on the job
+    }
+
+    res.json(serializeJob(job));
+});
+
+// Persistent test history - every finished job is appended to HISTORY_FILE as one JSON line
+// with its parameters, times, outcome, the container it ran on and a CPU/memory timeline
+// sampled while it ran. HISTORY_FILE=off disables it.
+const historyFile = process.env.HISTORY_FILE === 'off' ? null : path.resolve(process.env.HISTORY_FILE || 'data/history.jsonl');
+const historyMaxRuns = parseInt(process.env.HISTORY_MAX_RUNS, 10) || 1000;
+const historySampleSeconds = parseFloat(process.env.HISTORY_SAMPLE_SECONDS) || 1;
+const HISTORY_MAX_TIMELINE_SAMPLES = 600;
+const HISTORY_TIMELINE_METRICS = ['cpuPercent', 'rssMB', 'heapUsedMB', 'cgroupMB'];
+let historyWrites = Promise.resolve(); // appends and compactions run one at a time
+let historyRuns = null; // runs in the file, counted before the first append
+
+// Identifies the container in every record, so runs on differently sized pods can be compared
+const historyEnvironment = {
+    hostname: os.hostname(),
+    podName: process.env.POD_NAME || os.hostname(),
+    effectiveCores: effectiveCores(),
+    memoryLimitMB: readCgroupMemoryLimitBytes() === null ? null : Math.round(readCgroupMemoryLimitBytes() / 1024 / 1024),
+    node: process.version
+};
+
+// Add a sample to the timeline of every running job. The figures are process-wide, so jobs
+// running side by side share them. Once a timeline is full every other sample is dropped
+// and the job is sampled half as often, so long runs keep covering their whole duration.
+if (historyFile) {
+    let previousCpuUsage = process.cpuUsage();
+    let previousSampleTime = Date.now();
+    setInterval(() => {
+        const now = Date.now();
+        const sample = sampleResources(previousCpuUsage, (now - previousSampleTime) / 1000);
+        previousCpuUsage = process.cpuUsage();
+        previousSampleTime = now;
+        const cgroupBytes = readCgroupMemoryBytes();
+
+        for (const job of jobs.values()) {
+            if (job.state !== 'running') {
+                continue;
+            }
+            if (!job.timeline) {
+                job.timeline = [];
+                job.timelineStride = 1;
+                job.timelineTicks = 0;
+            }
+            if (job.timelineTicks++ % job.timelineStride !== 0) {
+                continue;
+            }
+            job.timeline.push({
+                t: Number(((now - job.startTime) / 1000).toFixed(1)),
+                cpuPercent: Number(sample.cpuPercent.toFixed(1)),
+                rssMB: Number(sample.rssMB.toFixed(1)),
+                heapUsedMB: Number(sample.heapUsedMB.toFixed(1)),
+                cgroupMB: cgroupBytes === null ? null : Number((cgroupBytes / 1024 / 1024).toFixed(1))
+            });
+            if (job.timeline.length >= HISTORY_MAX_TIMELINE_SAMPLES) {
+                job.timeline = job.timeline.filter((sample, index) => index % 2 === 0);
+                job.timelineStride *= 2;
+            }
+        }
+    }, historySampleSeconds * 1000).unref();
+}
+
+// Read the runs matching predicate, oldest first. Timelines are dropped (leaving their sample
+// count) unless keepTimeline is set. Lines that do not parse, such as one cut short by a
+// crash, and lines that are not runs are skipped.
+async function readHistory(predicate = () => true, keepTimeline = false) {
+    if (!historyFile || !fs.existsSync(historyFile)) {
+        return [];
+    }
+
+    const runs = [];
+    const lines = readline.createInterface({ input: fs.createReadStream(historyFile), crlfDelay: Infinity });
+    for await (const line of lines) {
+        let run;
+        try {
+            run = JSON.parse(line);
+        } catch (error) {
+            continue;
+        }
+        if (!run || typeof run !== 'object' || !Array.isArray(run.timeline) || !run.environment || typeof run.environment !== 'object') {
+            continue;
+        }
+        if (!predicate(run)) {
+            continue;
+        }
+        if (!keepTimeline) {
+            run.timelineSamples = run.timeline.length;
+            delete run.timeline;
+        }
+        runs.push(run);
+    }
+    return runs;
+}
+
+// Append one run. Past HISTORY_MAX_RUNS plus 10% the file is rewritten with the newest
+// HISTORY_MAX_RUNS runs; the rename means readers never see a partial file.
+async function appendHistory(run) {
+    if (historyRuns === null) {
+        await fs.promises.mkdir(path.dirname(historyFile), { recursive: true });
+        historyRuns = (await readHistory()).length;
+    }
+    await fs.promises.appendFile(historyFile, JSON.stringify(run) + '\n');
+    historyRuns++;
+
+    if (historyRuns > historyMaxRuns * 1.1) {
+        const lines = (await fs.promises.readFile(historyFile, 'utf8')).split('\n').filter(Boolean).slice(-historyMaxRuns);
+        const tempFile = `${historyFile}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tempFile, lines.join('\n') + '\n');
+        await fs.promises.rename(tempFile, historyFile);
+        historyRuns = lines.length;
+    }
+}
+
+// Record every job once it has finished
+jobEvents.on('job', (job) => {
+    if (!historyFile || !job.endTime || job.runId) {
+        return;
+    }
+    job.runId = randomUUID();
+    const run = {
+        runId: job.runId,
+        jobId: job.id,
+        type: job.type,
+        state: job.state,
+        parameters: job.parameters,
+        startTime: new Date(job.startTime).toISOString(),
+        endTime: new Date(job.endTime).toISOString(),
+        elapsedSeconds: Number(((job.endTime - job.startTime) / 1000).toFixed(1)),
+        result: job.result,
+        error: job.error,
+        environment: historyEnvironment,
+        timeline: job.timeline || []
+    };
+    job.timeline = null;
+    historyWrites = historyWrites
+        .then(() => appendHistory(run))
+        .catch((error) => log('warn', `Could not write test history to ${historyFile}: ${error.message}`, { jobId: job.id, error }));
+});
+
+// Average and maximum of each timeline metric, null when it was never sampled
+function timelineStats(timeline) {
+    const stats = {};
+    for (const metric of HISTORY_TIMELINE_METRICS) {
+        const values = timeline.map(sample => sample[metric]).filter(value => value !== null && value !== undefined);
+        stats[metric] = values.length === 0 ? null : {
+            avg: Number((values.reduce((sum, value) => sum + value, 0) / values.length).toFixed(1)),
+            max: Math.max(...values)
+        };
+    }
+    return stats;
+}
+
+// Numeric leaves of a result keyed by their dotted path, e.g. { 'latency.p99Ms': 4.2 }
+function numericFields(value, prefix = '', fields = {}) {
+    for (const [key, child] of Object.entries(value || {})) {
+        if (typeof child === 'number') {
+            fields[prefix + key] = child;
+        } else if (child && typeof child === 'object' && !Array.isArray(child)) {
+            numericFields(child, `${prefix}${key}.`, fields);
+        }
+    }
+    return fields;
+}
+
+function compareNumbers(a, b) {
+    return {
+        a: a,
+        b: b,
+        delta: Number((b - a).toFixed(3)),
+        deltaPercent: a === 0 ? null : Number(((b - a) / Math.abs(a) * 100).toFixed(1))
+    };
+}
+
+// Fields of two objects that differ, as { field: { a, b } }
+function differingFields(a = {}, b = {}) {
+    const differences = {};
+    for (const key of new Set([...Object.keys(a || {}), ...Object.keys(b || {})])) {
+        if (JSON.stringify(a[key]) !== JSON.stringify(b[key])) {
+            differences[key] = { a: a[key] === undefined ? null : a[key], b: b[key] === undefined ? null : b[key] };
+        }
+    }
+    return differences;
+}
+
+function compareRuns(a, b) {
+    const statsA = timelineStats(a.timeline);
+    const statsB = timelineStats(b.timeline);
+    const timeline = {};
+    for (const metric of HISTORY_TIMELINE_METRICS) {
+        if (statsA[metric] && statsB[metric]) {
+            timeline[metric] = { avg: compareNumbers(statsA[metric].avg, statsB[metric].avg), max: compareNumbers(statsA[metric].max, statsB[metric].max) };
+        }
+    }
+
+    const resultsA = numericFields(a.result);
+    const resultsB = numericFields(b.result);
+    const results = {};
+    for (const field of Object.keys(resultsA)) {
+        if (field in resultsB) {
+            results[field] = compareNumbers(resultsA[field], resultsB[field]);
+        }
+    }
+
+    const summary = (run) => ({
+        runId: run.runId,
+        type: run.type,
+        state: run.state,
+        startTime: run.startTime,
+        elapsedSeconds: run.elapsedSeconds,
+        podName: run.environment.podName
+    });
+
+    return {
+        a: summary(a),
+        b: summary(b),
+        sameType: a.type === b.type,
+        parameters: differingFields(a.parameters, b.parameters),
+        environment: differingFields(a.environment, b.environment),
+        elapsedSeconds: compareNumbers(a.elapsedSeconds, b.elapsedSeconds),
+        results: results,
+        timeline: timeline
+    };
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     HistoryRun:
+ *       type: object
+ *       properties:
+ *         runId:
+ *           type: string
+ *         jobId:
+ *           type: string
+ *           description: Job ID at the time of the run (job IDs restart with the process)
+ *         type:
+ *           type: string
+ *         state:
+ *           type: string
+ *           enum: [completed, cancelled, terminated, failed]
+ *         parameters:
+ *           type: object
+ *         startTime:
+ *           type: string
+ *           format: date-time
+ *         endTime:
+ *           type: string
+ *           format: date-time
+ *         elapsedSeconds:
+ *           type: number
+ *         result:
+ *           type: object
+ *           nullable: true
+ *         error:
+ *           type: string
+ *           nullable: true
+ *         environment:
+ *           type: object
+ *           description: hostname, podName, effectiveCores, memoryLimitMB and node version of the container
+ *         timeline:
+ *           type: array
+ *           description: Process-wide samples while the job ran (only in single-run responses or with timeline=true)
+ *           items:
+ *             type: object
+ *             properties:
+ *               t:
+ *                 type: number
+ *                 description: Seconds since the job started
+ *               cpuPercent:
+ *                 type: number
+ *               rssMB:
+ *                 type: number
+ *               heapUsedMB:
+ *                 type: number
+ *               cgroupMB:
+ *                 type: number
+ *                 nullable: true
+ *         timelineSamples:
+ *           type: integer
+ *           description: Number of timeline samples, when the timeline is left out
+ */
+
+/**
+ * @swagger
+ * /history:
+ *   get:
+ *     summary: List stored test runs
+ *     description: Returns finished runs from the history file, newest first. Runs survive restarts when HISTORY_FILE is on a volume.
+ *     tags:
+ *       - History
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Only return runs of this job type (e.g. CPU)
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *           enum: [completed, cancelled, terminated, failed]
+ *         description: Only return runs that ended in this state
+ *       - in: query
+ *         name: since
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only return runs started at or after this time
+ *       - in: query
+ *         name: until
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only return runs started before this time
+ *       - in: query
+ *         name: pod
+ *         schema:
+ *           type: string
+ *         description: Only return runs from this pod name
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Maximum number of runs to return (default 50)
+ *       - in: query
+ *         name: timeline
+ *         schema:
+ *           type: boolean
+ *         description: Include the CPU/memory timelines
+ *     responses:
+ *       200:
+ *         description: Stored runs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 file:
+ *                   type: string
+ *                   nullable: true
+ *                 total:
+ *                   type: integer
+ *                   description: Runs matching the filters
+ *                 count:
+ *                   type: integer
+ *                 runs:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/HistoryRun'
+ *       400:
+ *         description: Invalid filter
+ */
+app.get('/history', async (req, res) => {
+    const { type, state, since, until, pod, limit, timeline } = req.query;
+    const sinceTime = since ? Date.parse(since) : null;
+    const untilTime = until ? Date.parse(until) : null;
+    const limitNum = limit ? parseInt(limit, 10) : 50;
+
+    if ((since && isNaN(sinceTime)) || (until && isNaN(untilTime))) {
+        return res.status(400).json({
+            error: 'since and until must be dates, e.g. 2025-12-14T10:00:00Z'
+        });
+    }
+
+    if (isNaN(limitNum) || limitNum <= 0) {
+        return res.status(400).json({
+            error: 'limit must be a positive integer'
+        });
+    }
+
+    try {
+        const runs = await readHistory((run) => {
+            const startTime = Date.parse(run.startTime);
+            return (!type || run.type === type) &&
+                (!state || run.state === state) &&
+                (sinceTime === null || startTime >= sinceTime) &&
+                (untilTime === null || startTime < untilTime) &&
+                (!pod || run.environment.podName === pod);
+        }, timeline === 'true');
+        const newest = runs.slice(-limitNum).reverse();
+
+        res.json({
+            file: historyFile,
+            total: runs.length,
+            count: newest.length,
+            runs: newest
+        });
+    } catch (error) {
+        log('error', 'Error reading test history:', { requestId: req.id, error });
+        res.status(500).json({
+            error: 'Could not read test history',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /history/compare:
+ *   get:
+ *     summary: Compare two stored runs
+ *     description: Shows which parameters and container properties differ between two runs, and compares their elapsed time, every numeric result field and the average and maximum of their CPU/memory timelines. Deltas are b minus a.
+ *     tags:
+ *       - History
+ *     parameters:
+ *       - in: query
+ *         name: a
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: runId of the baseline run
+ *       - in: query
+ *         name: b
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: runId of the run to compare with it
+ *     responses:
+ *       200:
+ *         description: Comparison
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 a:
+ *                   type: object
+ *                 b:
+ *                   type: object
+ *                 sameType:
+ *                   type: boolean
+ *                 parameters:
+ *                   type: object
+ *                   description: "Parameters that differ, as { name: { a, b } }"
+ *                 environment:
+ *                   type: object
+ *                   description: "Container properties that differ, as { name: { a, b } }"
+ *                 elapsedSeconds:
+ *                   type: object
+ *                 results:
+ *                   type: object
+ *                   description: "Numeric result fields present in both runs, as { field: { a, b, delta, deltaPercent } }"
+ *                 timeline:
+ *                   type: object
+ *                   description: avg and max of each timeline metric, compared the same way
+ *       400:
+ *         description: a or b is missing
+ *       404:
+ *         description: Run not found
+ */
+app.get('/history/compare', async (req, res) => {
+    const { a, b } = req.query;
+
+    if (!a || !b) {
+        return res.status(400).json({
+            error: 'Missing required query parameters: a and b (runIds) are required',
+            example: '/history/compare?a=<runId>&b=<runId>'
+        });
+    }
 
     try {
-        const result = await cpuStress(seconds);
-        console.log('CPU stress test completed');
-        res.json(result);
+        const runs = await readHistory(run => run.runId === a || run.runId === b, true);
+        const runA = runs.find(run => run.runId === a);
+        const runB = runs.find(run => run.runId === b);
+        if (!runA || !runB) {
+            return res.status(404).json({
+                error: `Run ${!runA ? a : b} not found`
+            });
+        }
+
+        res.json(compareRuns(runA, runB));
     } catch (error) {
-        console.error('Error during CPU stress test:', error);
+        log('error', 'Error comparing test runs:', { requestId: req.id, error });
         res.status(500).json({
-            error: 'CPU stress test failed',
+            error: 'Could not compare test runs',
             message: error.message
         });
     }
@@ -297,23 +6798,165 @@ app.post('/cpu', async (req, res) => {
 
 /**
  * @swagger
- * /cpu:
+ * /history/{runId}:
  *   get:
- *     summary: Execute a CPU stress test (query params)
- *     description: Performs CPU stress test - starts async and returns immediately
+ *     summary: Get a stored run
+ *     description: Returns a run with its full CPU/memory timeline
  *     tags:
- *       - CPU Testing
+ *       - History
  *     parameters:
- *       - in: query
- *         name: seconds
+ *       - in: path
+ *         name: runId
  *         required: true
  *         schema:
- *           type: integer
- *         description: Duration of the CPU stress test in seconds
- *         example: 10
+ *           type: string
  *     responses:
  *       200:
- *         description: CPU stress test started
+ *         description: The run
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/HistoryRun'
+ *       404:
+ *         description: Run not found
+ */
+app.get('/history/:runId', async (req, res) => {
+    try {
+        const [run] = await readHistory(entry => entry.runId === req.params.runId, true);
+
+        if (!run) {
+            return res.status(404).json({
+                error: `Run ${req.params.runId} not found`
+            });
+        }
+
+        res.json(run);
+    } catch (error) {
+        log('error', 'Error reading test history:', { requestId: req.id, error });
+        res.status(500).json({
+            error: 'Could not read test history',
+            message: error.message
+        });
+    }
+});
+
+// Event loop lag - sampled continuously, summarised over fixed windows so every
+// consumer sees the same figures
+const EVENT_LOOP_WINDOW_MS = 10000;
+const eventLoopDelay = monitorEventLoopDelay({ resolution: 20 });
+let eventLoopLag = { meanSeconds: 0, maxSeconds: 0, p99Seconds: 0 };
+eventLoopDelay.enable();
+setInterval(() => {
+    eventLoopLag = {
+        meanSeconds: eventLoopDelay.mean / 1e9,
+        maxSeconds: eventLoopDelay.max / 1e9,
+        p99Seconds: eventLoopDelay.percentile(99) / 1e9
+    };
+    eventLoopDelay.reset();
+}, EVENT_LOOP_WINDOW_MS).unref();
+
+// Process CPU usage over fixed windows, for readiness checks
+const CPU_SAMPLE_SECONDS = 5;
+let processCpuPercent = 0;
+let previousProcessCpuUsage = process.cpuUsage();
+setInterval(() => {
+    processCpuPercent = sampleResources(previousProcessCpuUsage, CPU_SAMPLE_SECONDS).cpuPercent;
+    previousProcessCpuUsage = process.cpuUsage();
+}, CPU_SAMPLE_SECONDS * 1000).unref();
+
+// Readiness thresholds - null disables a check. Set from env at startup and adjustable
+// at runtime through POST /ready/config.
+const readiness = {
+    failDuringJobs: process.env.READINESS_FAIL_DURING_JOBS === 'true',
+    maxMemoryMB: parseFloat(process.env.READINESS_MAX_MEMORY_MB) || null,
+    memoryMetric: MEMORY_METRICS[process.env.READINESS_MEMORY_METRIC] ? process.env.READINESS_MEMORY_METRIC : 'rss',
+    maxCpuPercent: parseFloat(process.env.READINESS_MAX_CPU_PERCENT) || null,
+    maxEventLoopLagMs: parseFloat(process.env.READINESS_MAX_EVENT_LOOP_LAG_MS) || null
+};
+let lastReady = true;
+
+// Evaluate the readiness thresholds. Event loop lag is the higher p99 of the last full
+// window and the current one, so a freshly blocked loop shows up without waiting.
+function checkReadiness() {
+    const runningJobs = [...jobs.values()].filter(job => job.state === 'running').map(job => job.id);
+    const memoryMB = measureMemoryMB(readiness.memoryMetric);
+    const eventLoopLagMs = Math.max(eventLoopLag.p99Seconds * 1000, eventLoopDelay.percentile(99) / 1e6);
+    const uptimeSeconds = process.uptime();
+    const reasons = [];
+
+    if (shuttingDown) {
+        reasons.push('shutting down');
+    }
+    if (uptimeSeconds < startupDelaySeconds) {
+        reasons.push(`starting up: ready in ${Math.ceil(startupDelaySeconds - uptimeSeconds)}s (startup delay ${startupDelaySeconds}s)`);
+    }
+    if (readiness.failDuringJobs && runningJobs.length > 0) {
+        reasons.push(`${runningJobs.length} job(s) running: ${runningJobs.join(', ')}`);
+    }
+    if (readiness.maxMemoryMB !== null && memoryMB > readiness.maxMemoryMB) {
+        reasons.push(`${readiness.memoryMetric} ${memoryMB.toFixed(1)}MB is above ${readiness.maxMemoryMB}MB`);
+    }
+    if (readiness.maxCpuPercent !== null && processCpuPercent > readiness.maxCpuPercent) {
+        reasons.push(`CPU ${processCpuPercent.toFixed(1)}% is above ${readiness.maxCpuPercent}%`);
+    }
+    if (readiness.maxEventLoopLagMs !== null && eventLoopLagMs > readiness.maxEventLoopLagMs) {
+        reasons.push(`event loop lag ${eventLoopLagMs.toFixed(1)}ms is above ${readiness.maxEventLoopLagMs}ms`);
+    }
+
+    return {
+        ready: reasons.length === 0,
+        reasons: reasons,
+        checks: {
+            uptimeSeconds: Number(uptimeSeconds.toFixed(1)),
+            runningJobs: runningJobs,
+            memoryMB: Number(memoryMB.toFixed(2)),
+            memoryMetric: readiness.memoryMetric,
+            cpuPercent: Number(processCpuPercent.toFixed(2)),
+            eventLoopLagMs: Number(eventLoopLagMs.toFixed(2))
+        },
+        thresholds: { ...readiness }
+    };
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReadinessThresholds:
+ *       type: object
+ *       properties:
+ *         failDuringJobs:
+ *           type: boolean
+ *           description: Report not ready while any job is running
+ *         maxMemoryMB:
+ *           type: number
+ *           nullable: true
+ *           description: Report not ready above this memory usage
+ *         memoryMetric:
+ *           type: string
+ *           enum: [heapUsed, rss, cgroup]
+ *           description: Memory figure compared with maxMemoryMB
+ *         maxCpuPercent:
+ *           type: number
+ *           nullable: true
+ *           description: Report not ready above this CPU usage (percent of one core, over 5s)
+ *         maxEventLoopLagMs:
+ *           type: number
+ *           nullable: true
+ *           description: Report not ready above this p99 event loop lag
+ */
+
+/**
+ * @swagger
+ * /ready:
+ *   get:
+ *     summary: Readiness probe
+ *     description: Returns 503 with the reasons when a readiness threshold is exceeded - a running job, memory, CPU or event loop lag - and during the startup delay (STARTUP_DELAY_SECONDS). With no thresholds or delay configured the service is always ready.
+ *     tags:
+ *       - Health
+ *     responses:
+ *       200:
+ *         description: Ready to receive traffic
  *         content:
  *           application/json:
  *             schema:
@@ -321,247 +6964,607 @@ app.post('/cpu', async (req, res) => {
  *               properties:
  *                 status:
  *                   type: string
- *                 type:
- *                   type: string
- *                 duration:
- *                   type: number
+ *                   example: ready
+ *                 reasons:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 checks:
+ *                   type: object
+ *                   description: Measured job, memory, CPU and event loop figures
+ *                 thresholds:
+ *                   $ref: '#/components/schemas/ReadinessThresholds'
  *                 timestamp:
  *                   type: string
  *                   format: date-time
- *       400:
- *         description: Invalid input parameters
+ *       503:
+ *         description: Not ready, with the reasons
  */
-app.get('/cpu', (req, res) => {
-    const { seconds } = req.query;
-
-    // Convert seconds to number
-    const secondsNum = parseInt(seconds, 10);
-
-    // Validate input
-    if (!seconds) {
-        return res.status(400).json({
-            error: 'Missing required query parameter: seconds is required',
-            example: '/cpu?seconds=10'
-        });
-    }
+app.get('/ready', (req, res) => {
+    const { ready, reasons, checks, thresholds } = checkReadiness();
 
-    if (isNaN(secondsNum) || secondsNum <= 0) {
-        return res.status(400).json({
-            error: 'seconds must be a positive number'
-        });
+    if (ready !== lastReady) {
+        log(ready ? 'info' : 'warn', ready ? 'Readiness: ready' : `Readiness: not ready (${reasons.join('; ')})`, { reasons });
+        lastReady = ready;
     }
 
-    console.log(`Starting CPU stress test for ${secondsNum} seconds...`);
-
-    // Run async but don't wait for response (fire and forget for GET)
-    (async () => {
-        try {
-            await cpuStress(secondsNum);
-            console.log('CPU stress test completed');
-        } catch (error) {
-            console.error('Error during CPU stress test:', error);
-        }
-    })();
-
-    res.json({
-        status: 'started',
-        type: 'CPU',
-        duration: secondsNum,
+    res.status(ready ? 200 : 503).json({
+        status: ready ? 'ready' : 'not ready',
+        reasons: reasons,
+        checks: checks,
+        thresholds: thresholds,
         timestamp: new Date().toISOString()
     });
 });
 
 /**
  * @swagger
- * /logs:
+ * /ready/config:
  *   post:
- *     summary: Start continuous logging
- *     description: Continuously outputs log entries with CPU and memory usage information at specified intervals
+ *     summary: Change the readiness thresholds
+ *     description: Updates the given thresholds and leaves the others unchanged. Set a threshold to null to disable it.
  *     tags:
- *       - Logging
+ *       - Health
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - seconds
- *             properties:
- *               seconds:
- *                 type: number
- *                 description: Interval in seconds between log entries
- *                 example: 5
- *               duration:
- *                 type: number
- *                 description: Optional total duration in seconds (if not specified, logs indefinitely)
- *                 example: 60
+ *             $ref: '#/components/schemas/ReadinessThresholds'
  *     responses:
  *       200:
- *         description: Logging started or completed successfully
+ *         description: Thresholds updated
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: string
- *                 intervalSeconds:
- *                   type: number
- *                 duration:
- *                   type: number
- *                 timestamp:
- *                   type: string
- *                   format: date-time
+ *               $ref: '#/components/schemas/ReadinessThresholds'
  *       400:
- *         description: Invalid input parameters
- *       500:
- *         description: Logging failed
+ *         description: Invalid thresholds
  */
-app.post('/logs', async (req, res) => {
-    const { seconds, duration } = req.body;
+app.post('/ready/config', (req, res) => {
+    const { failDuringJobs, memoryMetric } = req.body;
 
-    // Validate input
-    if (!seconds) {
+    if (failDuringJobs !== undefined && typeof failDuringJobs !== 'boolean') {
         return res.status(400).json({
-            error: 'Missing required parameter: seconds is required'
+            error: 'failDuringJobs must be a boolean'
         });
     }
 
-    if (typeof seconds !== 'number' || seconds <= 0) {
-        return res.status(400).json({
-            error: 'seconds must be a positive number'
-        });
+    for (const field of ['maxMemoryMB', 'maxCpuPercent', 'maxEventLoopLagMs']) {
+        const value = req.body[field];
+        if (value !== undefined && value !== null && (typeof value !== 'number' || value <= 0)) {
+            return res.status(400).json({
+                error: `${field} must be a positive number or null`
+            });
+        }
     }
 
-    if (duration !== undefined && (typeof duration !== 'number' || duration <= 0)) {
+    const metricError = validateMemoryMetric(memoryMetric);
+    if (metricError) {
         return res.status(400).json({
-            error: 'duration must be a positive number if provided'
+            error: `Invalid memoryMetric: ${metricError}`
         });
     }
 
-    console.log(`Starting continuous logging with ${seconds}s intervals${duration ? ` for ${duration}s total` : ' (indefinite)'}...`);
-
-    if (duration) {
-        // If duration is specified, wait for completion
-        try {
-            const result = await continuousLogging(seconds, duration);
-            res.json(result);
-        } catch (error) {
-            console.error('Error during continuous logging:', error);
-            res.status(500).json({
-                error: 'Logging failed',
-                message: error.message
-            });
+    for (const field of Object.keys(readiness)) {
+        if (req.body[field] !== undefined) {
+            readiness[field] = req.body[field];
         }
-    } else {
-        // If no duration, start logging and return immediately
-        continuousLogging(seconds);
-        res.json({
-            status: 'started',
-            type: 'Continuous Logging',
-            intervalSeconds: seconds,
-            mode: 'indefinite',
-            timestamp: new Date().toISOString()
-        });
     }
+    log('info', 'Readiness thresholds updated', { thresholds: readiness });
+    res.json(readiness);
 });
 
+// Render metrics in the Prometheus text exposition format
+function renderMetrics() {
+    const lines = [];
+    const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    const metric = (name, type, help, samples) => {
+        lines.push(`# HELP ${name} ${help}`);
+        lines.push(`# TYPE ${name} ${type}`);
+        for (const [labels, value] of samples) {
+            const labelText = Object.entries(labels).map(([key, labelValue]) => `${key}="${escapeLabel(labelValue)}"`).join(',');
+            lines.push(`${name}${labelText ? `{${labelText}}` : ''} ${value}`);
+        }
+    };
+
+    const cpuUsage = process.cpuUsage();
+    const memoryUsage = process.memoryUsage();
+
+    metric('process_cpu_user_seconds_total', 'counter', 'Total user CPU time spent in seconds.', [[{}, cpuUsage.user / 1e6]]);
+    metric('process_cpu_system_seconds_total', 'counter', 'Total system CPU time spent in seconds.', [[{}, cpuUsage.system / 1e6]]);
+    metric('process_cpu_seconds_total', 'counter', 'Total user and system CPU time spent in seconds.', [[{}, (cpuUsage.user + cpuUsage.system) / 1e6]]);
+    metric('process_resident_memory_bytes', 'gauge', 'Resident memory size in bytes.', [[{}, memoryUsage.rss]]);
+    metric('process_start_time_seconds', 'gauge', 'Start time of the process since unix epoch in seconds.', [[{}, Math.round(Date.now() / 1000 - process.uptime())]]);
+    metric('nodejs_heap_size_used_bytes', 'gauge', 'V8 heap used in bytes.', [[{}, memoryUsage.heapUsed]]);
+    metric('nodejs_heap_size_total_bytes', 'gauge', 'V8 heap total in bytes.', [[{}, memoryUsage.heapTotal]]);
+    metric('nodejs_external_memory_bytes', 'gauge', 'Memory used by C++ objects bound to JavaScript objects in bytes.', [[{}, memoryUsage.external]]);
+    metric('nodejs_array_buffers_bytes', 'gauge', 'Memory allocated for ArrayBuffers and Buffers in bytes.', [[{}, memoryUsage.arrayBuffers]]);
+    metric('nodejs_eventloop_lag_mean_seconds', 'gauge', `Mean event loop lag over the last ${EVENT_LOOP_WINDOW_MS / 1000}s window.`, [[{}, eventLoopLag.meanSeconds]]);
+    metric('nodejs_eventloop_lag_p99_seconds', 'gauge', `99th percentile event loop lag over the last ${EVENT_LOOP_WINDOW_MS / 1000}s window.`, [[{}, eventLoopLag.p99Seconds]]);
+    metric('nodejs_eventloop_lag_max_seconds', 'gauge', `Maximum event loop lag over the last ${EVENT_LOOP_WINDOW_MS / 1000}s window.`, [[{}, eventLoopLag.maxSeconds]]);
+
+    // Every type that has been started is reported, so idle types show up as 0
+    const activeByType = new Map([...jobsStartedByType.keys()].map(type => [type, 0]));
+    const running = [...jobs.values()].filter(job => job.state === 'running');
+    running.forEach(job => activeByType.set(job.type, activeByType.get(job.type) + 1));
+
+    metric('loadcontainer_jobs_active', 'gauge', 'Number of running stress test jobs by type.',
+        [...activeByType].map(([type, count]) => [{ type }, count]));
+    metric('loadcontainer_jobs_queued', 'gauge', 'Number of stress test jobs waiting for a concurrency slot by type.',
+        [...jobQueues].map(([type, queue]) => [{ type }, queue.length]));
+    metric('loadcontainer_jobs_started_total', 'counter', 'Number of stress test jobs started by type.',
+        [...jobsStartedByType].map(([type, count]) => [{ type }, count]));
+
+    const targeted = running.filter(job => job.target);
+    metric('loadcontainer_job_target_configured', 'gauge', 'Configured target of a running job (bound is target, min or max).',
+        targeted.flatMap(job => Object.entries(job.target.configured).map(([bound, value]) =>
+            [{ job_id: job.id, type: job.type, resource: job.target.resource, bound }, value])));
+    metric('loadcontainer_job_target_achieved', 'gauge', 'Last measured value of the resource a running job targets.',
+        targeted.filter(job => job.target.achieved !== null).map(job =>
+            [{ job_id: job.id, type: job.type, resource: job.target.resource }, job.target.achieved]));
+
+    return lines.join('\n') + '\n';
+}
+
 /**
  * @swagger
- * /logs:
+ * /events:
  *   get:
- *     summary: Start continuous logging (query params)
- *     description: Continuously outputs log entries - starts async and returns immediately
+ *     summary: Live event stream (Server-Sent Events)
+ *     description: |
+ *       Streams `sample` events with the CPU and memory figures continuousLogging computes, plus the
+ *       running jobs' targets and phases, and `job` events whenever a job changes state.
+ *       With jobId, only that job is reported and the stream ends when the job finishes.
  *     tags:
- *       - Logging
+ *       - Jobs
  *     parameters:
  *       - in: query
- *         name: seconds
- *         required: true
+ *         name: jobId
+ *         required: false
  *         schema:
- *           type: integer
- *         description: Interval in seconds between log entries
- *         example: 5
+ *           type: string
+ *         description: Only report this job
  *       - in: query
- *         name: duration
+ *         name: interval
  *         required: false
  *         schema:
- *           type: integer
- *         description: Optional total duration in seconds
- *         example: 60
+ *           type: number
+ *         description: Seconds between samples (default 1)
+ *         example: 1
  *     responses:
  *       200:
- *         description: Logging started
+ *         description: text/event-stream of sample and job events
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid input parameters
+ *       404:
+ *         description: Job not found
+ */
+app.get('/events', (req, res) => {
+    const { jobId, interval } = req.query;
+    const intervalNum = interval !== undefined ? Number(interval) : 1;
+
+    if (isNaN(intervalNum) || intervalNum <= 0) {
+        return res.status(400).json({
+            error: 'interval must be a positive number if provided'
+        });
+    }
+
+    if (jobId !== undefined && !jobs.has(jobId)) {
+        return res.status(404).json({
+            error: `Job ${jobId} not found`
+        });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    const matches = (job) => !jobId || job.id === jobId;
+    let previousCpuUsage = process.cpuUsage();
+    let previousSampleTime = Date.now();
+
+    const close = () => {
+        clearInterval(timer);
+        jobEvents.off('job', onJob);
+        jobEvents.off('shutdown', onShutdown);
+        res.end();
+    };
+
+    const onShutdown = () => {
+        send('shutdown', { timestamp: new Date().toISOString() });
+        close();
+    };
+
+    const onJob = (job) => {
+        if (!matches(job)) {
+            return;
+        }
+        send('job', serializeJob(job));
+        if (jobId && job.endTime) {
+            close();
+        }
+    };
+
+    const timer = setInterval(() => {
+        const now = Date.now();
+        const sample = sampleResources(previousCpuUsage, (now - previousSampleTime) / 1000);
+        previousCpuUsage = process.cpuUsage();
+        previousSampleTime = now;
+
+        send('sample', {
+            timestamp: new Date(now).toISOString(),
+            cpuPercent: Number(sample.cpuPercent.toFixed(2)),
+            heapUsedMB: Number(sample.heapUsedMB.toFixed(2)),
+            heapTotalMB: Number(sample.heapTotalMB.toFixed(2)),
+            rssMB: Number(sample.rssMB.toFixed(2)),
+            externalMB: Number(sample.externalMB.toFixed(2)),
+            jobs: [...jobs.values()]
+                .filter(job => job.state === 'running' && matches(job))
+                .map(job => ({
+                    id: job.id,
+                    type: job.type,
+                    progress: serializeJob(job).progress,
+                    ...(job.phase && { currentPhase: job.phase }),
+                    ...(job.target && { target: job.target })
+                }))
+        });
+    }, intervalNum * 1000);
+
+    jobEvents.on('job', onJob);
+    jobEvents.on('shutdown', onShutdown);
+    req.on('close', close);
+
+    // Start with the current state of the reported jobs
+    [...jobs.values()].filter(job => (jobId ? matches(job) : job.state === 'running')).forEach(onJob);
+});
+
+/**
+ * @swagger
+ * /metrics:
+ *   get:
+ *     summary: Prometheus metrics
+ *     description: Process CPU and memory, event loop lag, active jobs by type and configured vs. achieved targets of running tests in the Prometheus text exposition format
+ *     tags:
+ *       - Health
+ *     responses:
+ *       200:
+ *         description: Metrics in Prometheus text format
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ */
+app.get('/metrics', (req, res) => {
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(renderMetrics());
+});
+
+// Environment variables commonly set from the Kubernetes downward API (see k8s-deployment.yaml)
+const DOWNWARD_API_ENV = ['POD_NAME', 'POD_NAMESPACE', 'POD_IP', 'POD_UID', 'NODE_NAME', 'POD_SERVICE_ACCOUNT', 'CPU_REQUEST', 'CPU_LIMIT', 'MEMORY_REQUEST', 'MEMORY_LIMIT'];
+
+function environmentInfo() {
+    const cgroupCpu = readCgroupCpu();
+    const cgroupLimitBytes = readCgroupMemoryLimitBytes();
+    const cgroupUsageBytes = readCgroupMemoryBytes();
+    const cpus = os.cpus();
+    const toMB = (bytes) => bytes === null ? null : Number((bytes / 1024 / 1024).toFixed(1));
+    const downwardApi = {};
+    for (const name of DOWNWARD_API_ENV) {
+        if (process.env[name] !== undefined) {
+            downwardApi[name] = process.env[name];
+        }
+    }
+
+    return {
+        hostname: os.hostname(),
+        podName: process.env.POD_NAME || os.hostname(),
+        kubernetes: {
+            inCluster: Boolean(process.env.KUBERNETES_SERVICE_HOST),
+            downwardApi: downwardApi
+        },
+        runtime: {
+            node: process.version,
+            v8: process.versions.v8,
+            platform: process.platform,
+            arch: process.arch,
+            pid: process.pid,
+            uptimeSeconds: Number(process.uptime().toFixed(1))
+        },
+        cpu: {
+            effectiveCores: effectiveCores(cgroupCpu),
+            cgroup: cgroupCpu,
+            os: {
+                count: cpus.length,
+                model: cpus.length > 0 ? cpus[0].model : null,
+                speedMHz: cpus.length > 0 ? cpus[0].speed : null,
+                loadAverage: os.loadavg().map(load => Number(load.toFixed(2)))
+            }
+        },
+        memory: {
+            cgroupLimitMB: toMB(cgroupLimitBytes),
+            cgroupUsageMB: toMB(cgroupUsageBytes),
+            hostTotalMB: toMB(os.totalmem()),
+            hostFreeMB: toMB(os.freemem()),
+            v8HeapLimitMB: toMB(v8.getHeapStatistics().heap_size_limit),
+            rssMB: toMB(process.memoryUsage.rss()),
+            heapUsedMB: toMB(process.memoryUsage().heapUsed)
+        },
+        guardrails: guardrails,
+        timestamp: new Date().toISOString()
+    };
+}
+
+/**
+ * @swagger
+ * /info:
+ *   get:
+ *     summary: Container environment
+ *     description: Reports the limits and identity of the container serving the request - cgroup CPU quota and period with the effective core count, the cgroup memory limit, host CPUs and memory, the V8 heap limit, the Node.js version, the hostname or pod name and Kubernetes downward-API environment variables - so test results can be correlated with the pod that produced them.
+ *     tags:
+ *       - Information
+ *     responses:
+ *       200:
+ *         description: Environment details
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 status:
+ *                 hostname:
  *                   type: string
- *                 type:
+ *                 podName:
  *                   type: string
- *                 intervalSeconds:
- *                   type: number
- *                 duration:
- *                   type: number
+ *                   description: POD_NAME from the downward API, or the hostname (which Kubernetes sets to the pod name)
+ *                 kubernetes:
+ *                   type: object
+ *                   properties:
+ *                     inCluster:
+ *                       type: boolean
+ *                     downwardApi:
+ *                       type: object
+ *                       description: The downward-API variables that are set (POD_NAME, POD_NAMESPACE, POD_IP, POD_UID, NODE_NAME, POD_SERVICE_ACCOUNT, CPU_REQUEST, CPU_LIMIT, MEMORY_REQUEST, MEMORY_LIMIT)
+ *                 runtime:
+ *                   type: object
+ *                   properties:
+ *                     node:
+ *                       type: string
+ *                     v8:
+ *                       type: string
+ *                     platform:
+ *                       type: string
+ *                     arch:
+ *                       type: string
+ *                     pid:
+ *                       type: integer
+ *                     uptimeSeconds:
+ *                       type: number
+ *                 cpu:
+ *                   type: object
+ *                   properties:
+ *                     effectiveCores:
+ *                       type: number
+ *                       description: Lowest of the CPU quota, the cpuset size and the OS CPU count
+ *                     cgroup:
+ *                       type: object
+ *                       nullable: true
+ *                       description: quotaMicros, periodMicros, quotaCores (null without a limit), weight (v2) or shares (v1), and cpusetCpus
+ *                     os:
+ *                       type: object
+ *                       description: count, model and speedMHz from os.cpus(), and the load average
+ *                 memory:
+ *                   type: object
+ *                   properties:
+ *                     cgroupLimitMB:
+ *                       type: number
+ *                       nullable: true
+ *                     cgroupUsageMB:
+ *                       type: number
+ *                       nullable: true
+ *                     hostTotalMB:
+ *                       type: number
+ *                     hostFreeMB:
+ *                       type: number
+ *                     v8HeapLimitMB:
+ *                       type: number
+ *                     rssMB:
+ *                       type: number
+ *                     heapUsedMB:
+ *                       type: number
+ *                 guardrails:
+ *                   type: object
  *                 timestamp:
  *                   type: string
  *                   format: date-time
- *       400:
- *         description: Invalid input parameters
  */
-app.get('/logs', (req, res) => {
-    const { seconds, duration } = req.query;
+app.get('/info', (req, res) => {
+    res.json(environmentInfo());
+});
 
-    // Convert to numbers
-    const secondsNum = parseInt(seconds, 10);
-    const durationNum = duration ? parseInt(duration, 10) : null;
+// Cluster coordination - one instance broadcasts a test to its peers and aggregates their
+// results. Peers come from PEERS (comma-separated base URLs) and/or the A records of
+// PEER_DNS (e.g. a headless Service), contacted on PEER_PORT (default this server's port).
+const staticPeers = (process.env.PEERS || '').split(',').map(peer => peer.trim().replace(/\/+$/, '')).filter(Boolean);
+const peerDns = process.env.PEER_DNS || null;
+const peerPort = parseInt(process.env.PEER_PORT, 10) || port;
+const CLUSTER_METHODS = ['GET', 'POST', 'DELETE'];
+// Headers passed on to peers, so they accept the same API key and log the same request ID
+const CLUSTER_FORWARD_HEADERS = ['authorization', 'x-api-key', 'x-request-id'];
 
-    // Validate input
-    if (!seconds) {
-        return res.status(400).json({
-            error: 'Missing required query parameter: seconds is required',
-            example: '/logs?seconds=5'
-        });
+async function discoverPeers() {
+    const peers = [...staticPeers];
+    if (peerDns) {
+        const addresses = await dns.promises.resolve4(peerDns);
+        peers.push(...addresses.sort().map(address => `http://${address}:${peerPort}`));
     }
+    return [...new Set(peers)];
+}
 
-    if (isNaN(secondsNum) || secondsNum <= 0) {
-        return res.status(400).json({
-            error: 'seconds must be a positive number'
+// Send one JSON request to a peer. Resolves with its status and body (parsed when it is JSON)
+// and rejects on connection errors or when the peer is silent for timeoutMs.
+function peerRequest(baseUrl, method, requestPath, body, headers, timeoutMs) {
+    const target = new URL(requestPath, baseUrl);
+    const transport = target.protocol === 'https:' ? https : http;
+    const payload = body === null || body === undefined ? null : Buffer.from(JSON.stringify(body));
+    const startTime = Date.now();
+
+    return new Promise((resolve, reject) => {
+        const request = transport.request(target, {
+            method,
+            headers: { ...headers, ...(payload && { 'Content-Type': 'application/json', 'Content-Length': payload.length }) }
+        }, (response) => {
+            const chunks = [];
+            response.on('data', chunk => chunks.push(chunk));
+            response.on('end', () => {
+                const text = Buffer.concat(chunks).toString('utf8');
+                let parsed = text;
+                try {
+                    parsed = JSON.parse(text);
+                } catch (error) {
+                    // Not JSON, return the text as is
+                }
+                resolve({
+                    status: response.statusCode,
+                    servedBy: response.headers['x-served-by'] || null,
+                    durationMs: Date.now() - startTime,
+                    body: parsed
+                });
+            });
+            response.on('error', reject);
         });
+        request.setTimeout(timeoutMs, () => {
+            request.destroy(Object.assign(new Error(`No response within ${timeoutMs / 1000}s`), { code: 'ETIMEDOUT' }));
+        });
+        request.on('error', reject);
+        request.end(payload);
+    });
+}
+
+function forwardedHeaders(req) {
+    const headers = {};
+    for (const name of CLUSTER_FORWARD_HEADERS) {
+        if (req.get(name)) {
+            headers[name] = req.get(name);
+        }
     }
+    return headers;
+}
 
-    if (duration && (isNaN(durationNum) || durationNum <= 0)) {
-        return res.status(400).json({
-            error: 'duration must be a positive number if provided'
-        });
+// min, max, avg and sum of every numeric result field across the peers that returned it
+function aggregateResults(bodies) {
+    const values = {};
+    for (const body of bodies) {
+        for (const [field, value] of Object.entries(numericFields(body))) {
+            (values[field] = values[field] || []).push(value);
+        }
+    }
+
+    const aggregate = {};
+    for (const [field, list] of Object.entries(values)) {
+        const sum = list.reduce((total, value) => total + value, 0);
+        aggregate[field] = {
+            count: list.length,
+            min: Math.min(...list),
+            max: Math.max(...list),
+            avg: Number((sum / list.length).toFixed(3)),
+            sum: Number(sum.toFixed(3))
+        };
     }
+    return aggregate;
+}
 
-    console.log(`Starting continuous logging with ${secondsNum}s intervals${durationNum ? ` for ${durationNum}s total` : ' (indefinite)'}...`);
+/**
+ * @swagger
+ * /cluster/peers:
+ *   get:
+ *     summary: List cluster peers
+ *     description: Discovers the peers from PEERS and PEER_DNS and checks each one with GET /info
+ *     tags:
+ *       - Cluster
+ *     responses:
+ *       200:
+ *         description: Peers and their reachability
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 count:
+ *                   type: integer
+ *                 reachable:
+ *                   type: integer
+ *                 peers:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       peer:
+ *                         type: string
+ *                       reachable:
+ *                         type: boolean
+ *                       podName:
+ *                         type: string
+ *                       effectiveCores:
+ *                         type: number
+ *                       memoryLimitMB:
+ *                         type: number
+ *                         nullable: true
+ *                       error:
+ *                         type: string
+ *       502:
+ *         description: PEER_DNS could not be resolved
+ */
+app.get('/cluster/peers', async (req, res) => {
+    let peers;
+    try {
+        peers = await discoverPeers();
+    } catch (error) {
+        return res.status(502).json({ error: `Could not resolve PEER_DNS ${peerDns}: ${error.code || error.message}` });
+    }
 
-    // Run async but don't wait for response (fire and forget for GET)
-    continuousLogging(secondsNum, durationNum);
+    const headers = forwardedHeaders(req);
+    const checks = await Promise.all(peers.map(async (peer) => {
+        try {
+            const response = await peerRequest(peer, 'GET', '/info', null, headers, 5000);
+            if (response.status !== 200) {
+                return { peer, reachable: false, error: `GET /info returned ${response.status}` };
+            }
+            return {
+                peer,
+                reachable: true,
+                podName: response.body.podName,
+                effectiveCores: response.body.cpu.effectiveCores,
+                memoryLimitMB: response.body.memory.cgroupLimitMB
+            };
+        } catch (error) {
+            return { peer, reachable: false, error: error.code || error.message };
+        }
+    }));
 
     res.json({
-        status: 'started',
-        type: 'Continuous Logging',
-        intervalSeconds: secondsNum,
-        duration: durationNum,
-        mode: durationNum ? 'timed' : 'indefinite',
-        timestamp: new Date().toISOString()
+        count: checks.length,
+        reachable: checks.filter(check => check.reachable).length,
+        peers: checks
     });
 });
 
 /**
  * @swagger
- * /memory-test:
+ * /cluster/run:
  *   post:
- *     summary: Execute a controlled memory test
- *     description: Performs memory stress test maintaining memory usage between min and max thresholds
+ *     summary: Run a test on every peer
+ *     description: Sends the same request to every peer, optionally staggered, waits for all of them and returns each peer's response with min, max, avg and sum of every numeric result field. Synchronous test endpoints (POST /cpu, /memory-test, ...) make the aggregate cover whole runs; GET endpoints only aggregate the start responses. The incoming Authorization, X-API-Key and X-Request-Id headers are passed on.
  *     tags:
- *       - Memory Testing
+ *       - Cluster
  *     requestBody:
  *       required: true
  *       content:
@@ -569,25 +7572,37 @@ app.get('/logs', (req, res) => {
  *           schema:
  *             type: object
  *             required:
- *               - timePeriod
- *               - minMemory
- *               - maxMemory
+ *               - path
  *             properties:
- *               timePeriod:
+ *               path:
+ *                 type: string
+ *                 description: Endpoint to call on each peer, with any query string
+ *                 example: /cpu
+ *               method:
+ *                 type: string
+ *                 enum: [GET, POST, DELETE]
+ *                 description: HTTP method (default POST)
+ *               body:
+ *                 type: object
+ *                 description: JSON body sent to every peer
+ *                 example:
+ *                   seconds: 300
+ *                   targetPercent: 70
+ *               stagger:
  *                 type: number
- *                 description: Duration of the test in seconds
+ *                 description: Seconds between starting one peer and the next (default 0, all at once)
  *                 example: 30
- *               minMemory:
- *                 type: number
- *                 description: Minimum memory usage in MB
- *                 example: 100
- *               maxMemory:
+ *               peers:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Base URLs to use instead of the discovered peers
+ *               timeoutSeconds:
  *                 type: number
- *                 description: Maximum memory usage in MB
- *                 example: 300
+ *                 description: How long a peer may stay silent before it is counted as failed (default 3600)
  *     responses:
  *       200:
- *         description: Memory test completed successfully
+ *         description: Aggregated results
  *         content:
  *           application/json:
  *             schema:
@@ -595,191 +7610,243 @@ app.get('/logs', (req, res) => {
  *               properties:
  *                 type:
  *                   type: string
- *                 duration:
- *                   type: number
- *                 minMemoryMB:
- *                   type: number
- *                 maxMemoryMB:
- *                   type: number
- *                 finalMemoryMB:
+ *                 method:
+ *                   type: string
+ *                 path:
+ *                   type: string
+ *                 peers:
+ *                   type: integer
+ *                 succeeded:
+ *                   type: integer
+ *                   description: Peers that answered with a 2xx status
+ *                 failed:
+ *                   type: integer
+ *                 elapsedSeconds:
  *                   type: number
- *                 completed:
+ *                 aggregate:
+ *                   type: object
+ *                   description: "Numeric result fields of the succeeded peers, as { field: { count, min, max, avg, sum } }"
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       peer:
+ *                         type: string
+ *                       servedBy:
+ *                         type: string
+ *                         description: Hostname of the pod that answered (X-Served-By)
+ *                       startedAfterSeconds:
+ *                         type: number
+ *                       status:
+ *                         type: integer
+ *                       durationMs:
+ *                         type: number
+ *                       response:
+ *                         type: object
+ *                       error:
+ *                         type: string
+ *                 terminated:
  *                   type: boolean
+ *                   description: Present when a graceful shutdown answered before every peer did
  *                 timestamp:
  *                   type: string
  *                   format: date-time
  *       400:
- *         description: Invalid input parameters
- *       500:
- *         description: Memory test failed
+ *         description: Invalid input parameters, or no peers are configured
+ *       502:
+ *         description: PEER_DNS could not be resolved
  */
-app.post('/memory-test', async (req, res) => {
-    const { timePeriod, minMemory, maxMemory } = req.body;
+app.post('/cluster/run', async (req, res) => {
+    const { path: requestPath, body, peers: requestedPeers } = req.body;
+    const method = (req.body.method || 'POST').toUpperCase();
+    const stagger = req.body.stagger !== undefined ? req.body.stagger : 0;
+    const timeoutSeconds = req.body.timeoutSeconds !== undefined ? req.body.timeoutSeconds : 3600;
 
     // Validate input
-    if (timePeriod === undefined || minMemory === undefined || maxMemory === undefined) {
+    if (typeof requestPath !== 'string' || !requestPath.startsWith('/')) {
         return res.status(400).json({
-            error: 'Missing required parameters: timePeriod, minMemory, and maxMemory are required',
+            error: 'Missing required parameter: path (e.g. /cpu) is required',
             example: {
-                timePeriod: 30,
-                minMemory: 100,
-                maxMemory: 300
+                path: '/cpu',
+                body: { seconds: 300, targetPercent: 70 },
+                stagger: 30
             }
         });
     }
 
-    if (typeof timePeriod !== 'number' || timePeriod <= 0) {
+    if (requestPath.toLowerCase().startsWith('/cluster')) {
         return res.status(400).json({
-            error: 'timePeriod must be a positive number (seconds)'
+            error: 'path must not be a /cluster endpoint'
         });
     }
 
-    if (typeof minMemory !== 'number' || minMemory <= 0) {
+    if (!CLUSTER_METHODS.includes(method)) {
         return res.status(400).json({
-            error: 'minMemory must be a positive number (MB)'
+            error: `method must be one of ${CLUSTER_METHODS.join(', ')}`
         });
     }
 
-    if (typeof maxMemory !== 'number' || maxMemory <= 0) {
+    if (typeof stagger !== 'number' || stagger < 0) {
         return res.status(400).json({
-            error: 'maxMemory must be a positive number (MB)'
+            error: 'stagger must be a non-negative number of seconds'
         });
     }
 
-    if (minMemory >= maxMemory) {
+    if (typeof timeoutSeconds !== 'number' || timeoutSeconds <= 0) {
         return res.status(400).json({
-            error: 'minMemory must be less than maxMemory'
+            error: 'timeoutSeconds must be a positive number'
         });
     }
 
-    console.log(`Starting controlled memory test for ${timePeriod} seconds (${minMemory}MB - ${maxMemory}MB)...`);
+    if (requestedPeers !== undefined && (!Array.isArray(requestedPeers) || !requestedPeers.every(peer => typeof peer === 'string' && /^https?:\/\//.test(peer)))) {
+        return res.status(400).json({
+            error: 'peers must be an array of http or https base URLs if provided'
+        });
+    }
 
-    try {
-        const result = await controlledMemoryStress(timePeriod, minMemory, maxMemory);
-        console.log('Controlled memory test completed');
-        res.json(result);
-    } catch (error) {
-        console.error('Error during controlled memory test:', error);
-        res.status(500).json({
-            error: 'Memory test failed',
-            message: error.message
+    let peers = requestedPeers;
+    if (!peers) {
+        try {
+            peers = await discoverPeers();
+        } catch (error) {
+            return res.status(502).json({ error: `Could not resolve PEER_DNS ${peerDns}: ${error.code || error.message}` });
+        }
+    }
+
+    if (peers.length === 0) {
+        return res.status(400).json({
+            error: 'No peers configured: set PEERS or PEER_DNS, or pass peers'
+        });
+    }
+
+    log('info', `Broadcasting ${method} ${requestPath} to ${peers.length} peers${stagger ? `, ${stagger}s apart` : ''}...`);
+    const headers = forwardedHeaders(req);
+    const startTime = Date.now();
+    // Peers still pending when a shutdown answers the request early count as failed
+    const results = peers.map(peer => ({ peer, servedBy: null, startedAfterSeconds: null, status: null, error: 'Not answered before shutdown' }));
+    let terminated = false;
+
+    const respond = () => {
+        jobEvents.off('shutdown', onShutdown);
+        const succeeded = results.filter(result => result.status >= 200 && result.status < 300);
+        log('info', `Broadcast of ${method} ${requestPath} ${terminated ? 'terminated' : 'finished'}: ${succeeded.length} of ${peers.length} peers succeeded`);
+
+        res.json({
+            type: 'Cluster',
+            method: method,
+            path: requestPath,
+            peers: peers.length,
+            succeeded: succeeded.length,
+            failed: peers.length - succeeded.length,
+            elapsedSeconds: Number(((Date.now() - startTime) / 1000).toFixed(1)),
+            aggregate: aggregateResults(succeeded.map(result => result.response)),
+            results: results,
+            ...(terminated && { terminated: true }),
+            timestamp: new Date().toISOString()
         });
+    };
+    const onShutdown = () => {
+        terminated = true;
+        respond();
+    };
+    jobEvents.on('shutdown', onShutdown);
+
+    await Promise.all(peers.map(async (peer, index) => {
+        if (stagger && index > 0) {
+            await new Promise(resolve => setTimeout(resolve, index * stagger * 1000));
+        }
+        if (terminated) {
+            return;
+        }
+        const startedAfterSeconds = Number(((Date.now() - startTime) / 1000).toFixed(1));
+        results[index] = { ...results[index], startedAfterSeconds };
+        try {
+            const response = await peerRequest(peer, method, requestPath, method === 'GET' ? null : body, headers, timeoutSeconds * 1000);
+            results[index] = { peer, servedBy: response.servedBy, startedAfterSeconds, status: response.status, durationMs: response.durationMs, response: response.body };
+        } catch (error) {
+            results[index] = { peer, servedBy: null, startedAfterSeconds, status: null, error: error.code || error.message };
+        }
+    }));
+
+    if (!terminated) {
+        respond();
     }
 });
 
 /**
  * @swagger
- * /memory-test:
- *   get:
- *     summary: Execute a controlled memory test (query params)
- *     description: Performs memory stress test - starts async and returns immediately
+ * /cluster/cancel:
+ *   post:
+ *     summary: Cancel running tests on every peer
+ *     description: Cancels every running and queued job on every peer through DELETE /jobs/{id}
  *     tags:
- *       - Memory Testing
- *     parameters:
- *       - in: query
- *         name: timePeriod
- *         required: true
- *         schema:
- *           type: integer
- *         description: Duration of the test in seconds
- *         example: 30
- *       - in: query
- *         name: minMemory
- *         required: true
- *         schema:
- *           type: integer
- *         description: Minimum memory usage in MB
- *         example: 100
- *       - in: query
- *         name: maxMemory
- *         required: true
- *         schema:
- *           type: integer
- *         description: Maximum memory usage in MB
- *         example: 300
+ *       - Cluster
  *     responses:
  *       200:
- *         description: Memory test started
+ *         description: Cancelled jobs per peer
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 status:
- *                   type: string
- *                 type:
- *                   type: string
- *                 timePeriod:
- *                   type: number
- *                 minMemory:
- *                   type: number
- *                 maxMemory:
- *                   type: number
- *                 timestamp:
- *                   type: string
- *                   format: date-time
- *       400:
- *         description: Invalid input parameters
+ *                 peers:
+ *                   type: integer
+ *                 cancelled:
+ *                   type: integer
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       peer:
+ *                         type: string
+ *                       cancelledJobs:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                       error:
+ *                         type: string
+ *       502:
+ *         description: PEER_DNS could not be resolved
  */
-app.get('/memory-test', (req, res) => {
-    const { timePeriod, minMemory, maxMemory } = req.query;
-
-    // Convert to numbers
-    const timePeriodNum = parseInt(timePeriod, 10);
-    const minMemoryNum = parseInt(minMemory, 10);
-    const maxMemoryNum = parseInt(maxMemory, 10);
-
-    // Validate input
-    if (!timePeriod || !minMemory || !maxMemory) {
-        return res.status(400).json({
-            error: 'Missing required query parameters: timePeriod, minMemory, and maxMemory are required',
-            example: '/memory-test?timePeriod=30&minMemory=100&maxMemory=300'
-        });
-    }
-
-    if (isNaN(timePeriodNum) || timePeriodNum <= 0) {
-        return res.status(400).json({
-            error: 'timePeriod must be a positive number (seconds)'
-        });
-    }
-
-    if (isNaN(minMemoryNum) || minMemoryNum <= 0) {
-        return res.status(400).json({
-            error: 'minMemory must be a positive number (MB)'
-        });
-    }
-
-    if (isNaN(maxMemoryNum) || maxMemoryNum <= 0) {
-        return res.status(400).json({
-            error: 'maxMemory must be a positive number (MB)'
-        });
-    }
-
-    if (minMemoryNum >= maxMemoryNum) {
-        return res.status(400).json({
-            error: 'minMemory must be less than maxMemory'
-        });
+app.post('/cluster/cancel', async (req, res) => {
+    let peers;
+    try {
+        peers = await discoverPeers();
+    } catch (error) {
+        return res.status(502).json({ error: `Could not resolve PEER_DNS ${peerDns}: ${error.code || error.message}` });
     }
 
-    console.log(`Starting controlled memory test for ${timePeriodNum} seconds (${minMemoryNum}MB - ${maxMemoryNum}MB)...`);
-
-    // Run async but don't wait for response (fire and forget for GET)
-    (async () => {
+    const headers = forwardedHeaders(req);
+    const results = await Promise.all(peers.map(async (peer) => {
         try {
-            await controlledMemoryStress(timePeriodNum, minMemoryNum, maxMemoryNum);
-            console.log('Controlled memory test completed');
+            const cancelledJobs = [];
+            for (const state of ['queued', 'running']) {
+                const list = await peerRequest(peer, 'GET', `/jobs?state=${state}`, null, headers, 10000);
+                if (list.status !== 200) {
+                    return { peer, cancelledJobs, error: `GET /jobs returned ${list.status}` };
+                }
+                for (const job of list.body.jobs) {
+                    const response = await peerRequest(peer, 'DELETE', `/jobs/${job.id}`, null, headers, 60000);
+                    if (response.status === 200) {
+                        cancelledJobs.push(job.id);
+                    }
+                }
+            }
+            return { peer, cancelledJobs };
         } catch (error) {
-            console.error('Error during controlled memory test:', error);
+            return { peer, cancelledJobs: [], error: error.code || error.message };
         }
-    })();
+    }));
+
+    const cancelled = results.reduce((total, result) => total + result.cancelledJobs.length, 0);
+    log('info', `Cancelled ${cancelled} jobs across ${peers.length} peers`);
 
     res.json({
-        status: 'started',
-        type: 'Controlled Memory',
-        timePeriod: timePeriodNum,
-        minMemory: minMemoryNum,
-        maxMemory: maxMemoryNum,
-        timestamp: new Date().toISOString()
+        peers: peers.length,
+        cancelled: cancelled,
+        results: results
     });
 });
 
@@ -811,17 +7878,159 @@ app.get('/', (req, res) => {
         documentation: '/api-docs',
         endpoints: {
             health: 'GET /health',
-            cpu: 'POST /cpu (body: {seconds: number})',
-            cpuGet: 'GET /cpu?seconds=10',
-            logs: 'POST /logs (body: {seconds: number, duration?: number})',
+            live: 'GET /live',
+            ready: 'GET /ready',
+            readyConfig: 'POST /ready/config (body: {failDuringJobs?: boolean, maxMemoryMB?: number, memoryMetric?: string, maxCpuPercent?: number, maxEventLoopLagMs?: number})',
+            metrics: 'GET /metrics',
+            info: 'GET /info',
+            clusterPeers: 'GET /cluster/peers',
+            clusterRun: 'POST /cluster/run (body: {path: string, method?: string, body?: object, stagger?: number, peers?: array, timeoutSeconds?: number})',
+            clusterCancel: 'POST /cluster/cancel',
+            cpu: 'POST /cpu (body: {seconds: number, cores?: number, targetPercent?: number} or {profile: object, cores?: number})',
+            cpuGet: 'GET /cpu?seconds=10&cores=4',
+            logs: 'POST /logs (body: {seconds: number, duration?: number, format?: string})',
             logsGet: 'GET /logs?seconds=5&duration=60',
-            memoryTest: 'POST /memory-test (body: {timePeriod: number, minMemory: number, maxMemory: number})',
-            memoryTestGet: 'GET /memory-test?timePeriod=30&minMemory=100&maxMemory=300'
+            memoryTest: 'POST /memory-test (body: {timePeriod: number, minMemory: number, maxMemory: number, metric?: string, mode?: string} or {profile: object, metric?: string, mode?: string})',
+            memoryTestGet: 'GET /memory-test?timePeriod=30&minMemory=100&maxMemory=300&metric=cgroup',
+            memoryLeak: 'POST /memory-leak (body: {rate: number, ceiling?: number, duration?: number, shape?: string})',
+            memoryLeakGet: 'GET /memory-leak?rate=50&ceiling=1024',
+            disk: 'POST /disk (body: {duration: number, directory?: string, sizeMB?: number, blockSizeKB?: number, pattern?: string, operation?: string, targetMBps?: number, targetIops?: number, fsyncEvery?: number})',
+            diskGet: 'GET /disk?duration=30&blockSizeKB=4&pattern=random&targetIops=500',
+            httpLoad: 'POST /http-load (body: {url: string, duration: number, rate?: number, concurrency?: number, method?: string, headers?: object, body?: any, timeoutMs?: number})',
+            httpLoadGet: 'GET /http-load?url=http://localhost:3000/health&duration=60&rate=200',
+            bandwidthDownload: 'GET /bandwidth/download?sizeMB=100&rateMBps=10',
+            bandwidthUpload: 'POST /bandwidth/upload (any body, e.g. --data-binary @file)',
+            block: 'POST /block (body: {ms: number})',
+            blockGet: 'GET /block?ms=15000',
+            latency: 'POST /latency (body: {distribution: string, ms?|min?,max?|mean?,stddev?|p50?,p99?: number})',
+            latencyGet: 'GET /latency?distribution=longtail&p50=50&p99=2000',
+            chaos: 'GET /chaos',
+            clearChaos: 'DELETE /chaos',
+            chaosHealth: 'POST /chaos/health (body: {mode: string, duration?: number, interval?: number})',
+            chaosErrors: 'POST /chaos/errors (body: {percent: number, status?: number, duration?: number})',
+            chaosCrash: 'POST /chaos/crash (body: {delay?: number, exitCode?: number})',
+            chaosHang: 'POST /chaos/hang (body: {delay?: number, duration?: number})',
+            chaosIgnoreSigterm: 'POST /chaos/ignore-sigterm (body: {duration: number})',
+            jobs: 'GET /jobs?state=running',
+            job: 'GET /jobs/:id',
+            cancelJob: 'DELETE /jobs/:id',
+            history: 'GET /history?type=CPU&since=2025-12-01T00:00:00Z&limit=20',
+            historyRun: 'GET /history/:runId',
+            compareRuns: 'GET /history/compare?a=<runId>&b=<runId>',
+            events: 'GET /events?jobId=1&interval=1 (Server-Sent Events)',
+            scenario: 'POST /scenarios (body: {name?: string, steps: array, wait?: boolean})',
+            scenarios: 'GET /scenarios',
+            runScenario: 'POST /scenarios/:name/run',
+            schedule: 'POST /schedules (body: {name: string, cron: string, steps?: array, scenario?: string, enabled?: boolean})',
+            schedules: 'GET /schedules',
+            deleteSchedule: 'DELETE /schedules/:name'
         }
     });
 });
 
+// Errors thrown by middleware (e.g. malformed JSON bodies) are logged and answered as JSON
+app.use((error, req, res, next) => {
+    const status = error.status || error.statusCode || 500;
+    if (status >= 500) {
+        log('error', 'Request failed:', { requestId: req.id, status, error });
+    } else {
+        log('warn', `Request rejected: ${error.message}`, { requestId: req.id, status });
+    }
+
+    if (res.headersSent) {
+        return next(error);
+    }
+
+    res.status(status).json({
+        error: status >= 500 ? 'Internal server error' : error.message
+    });
+});
+
+// Graceful shutdown - on SIGTERM or SIGINT, refuse new tests, stop running and queued jobs,
+// wait up to SHUTDOWN_TIMEOUT_SECONDS for their requests to be answered and the history to
+// be written, then exit. A second signal exits straight away.
+const shutdownTimeoutSeconds = parseFloat(process.env.SHUTDOWN_TIMEOUT_SECONDS) || 25;
+
+async function shutdown(signal) {
+    if (signal === 'SIGTERM' && chaos.ignoreSigterm) {
+        return; // handleIgnoredSigterm logs the ignored signal
+    }
+    if (shuttingDown) {
+        log('warn', `Received ${signal} again - exiting without waiting for the drain`);
+        process.exit(1);
+    }
+
+    shuttingDown = true;
+    const startTime = Date.now();
+    log('info', `Received ${signal} - shutting down, draining for up to ${shutdownTimeoutSeconds}s...`, { signal });
+
+    schedules.forEach(schedule => clearTimeout(schedule.timer));
+    jobEvents.emit('shutdown');
+
+    // Queued jobs first, so finishing running jobs cannot start them
+    const interrupted = [...jobs.values()]
+        .filter(job => job.state === 'queued' || job.state === 'running')
+        .sort((a, b) => (a.state === 'queued' ? 0 : 1) - (b.state === 'queued' ? 0 : 1));
+    const summary = interrupted.map((job) => {
+        const { id, type, state, progress, elapsedSeconds, parameters } = serializeJob(job);
+        return { id, type, state, progress, elapsedSeconds, parameters };
+    });
+    interrupted.forEach(cancelJob);
+
+    // Close keep-alive connections once their pending responses have been sent
+    const responsesSent = [...pendingResponses].map((res) => {
+        if (!res.headersSent) {
+            res.shouldKeepAlive = false;
+        }
+        return new Promise(resolve => res.once('close', resolve));
+    });
+
+    let timer;
+    const drained = await Promise.race([
+        (async () => {
+            await Promise.allSettled(interrupted.map(job => job.promise));
+            await Promise.all(responsesSent);
+            await historyWrites;
+            return true;
+        })(),
+        new Promise(resolve => { timer = setTimeout(() => resolve(false), shutdownTimeoutSeconds * 1000); })
+    ]);
+    clearTimeout(timer);
+
+    if (summary.length > 0) {
+        const described = summary.map(job => `${job.type} (job ${job.id}, ${job.state === 'queued' ? 'queued' : `${job.elapsedSeconds}s${job.progress !== null ? `, ${job.progress}%` : ''}`})`);
+        log('warn', `Interrupted ${summary.length} jobs: ${described.join(', ')}`, { interruptedJobs: summary });
+    } else {
+        log('info', 'No jobs were running');
+    }
+
+    const durationSeconds = ((Date.now() - startTime) / 1000).toFixed(1);
+    if (!drained) {
+        const stillRunning = interrupted.filter(job => !job.endTime).map(job => job.id);
+        const unanswered = pendingResponses.size;
+        log('error', `Drain timeout of ${shutdownTimeoutSeconds}s reached with ${stillRunning.length} jobs still stopping and ${unanswered} requests unanswered - exiting`, { stillRunning, unanswered });
+        process.exit(1);
+    }
+    log('info', `Shutdown complete in ${durationSeconds}s`, { durationSeconds: Number(durationSeconds) });
+    process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 app.listen(port, () => {
-    console.log(`Load testing API listening on port ${port}`);
-    console.log(`Memory usage: ${JSON.stringify(process.memoryUsage())}`);
+    log('info', `Load testing API listening on port ${port}`, { port: Number(port) });
+    log('info', `Memory usage: ${JSON.stringify(process.memoryUsage())}`, { memoryUsage: process.memoryUsage() });
+    const cores = effectiveCores();
+    const memoryLimitBytes = readCgroupMemoryLimitBytes();
+    const heapLimitBytes = v8.getHeapStatistics().heap_size_limit;
+    log('info', `Environment: ${cores} effective cores, memory limit ${memoryLimitBytes ? `${Math.round(memoryLimitBytes / 1024 / 1024)}MB` : 'none'}, V8 heap limit ${Math.round(heapLimitBytes / 1024 / 1024)}MB, Node.js ${process.version}`, {
+        effectiveCores: cores,
+        memoryLimitBytes,
+        heapLimitBytes
+    });
+    log('info', `Guardrails: ${JSON.stringify(guardrails)}`, { guardrails });
+    log('info', apiKeys.length > 0 ? `Authentication enabled with ${apiKeys.length} API keys` : 'Authentication disabled: no API_KEYS or API_KEYS_FILE set');
+    loadSchedulesFile();
+    startStartupLoad();
 });